@@ -2,23 +2,58 @@
 // TauriPets - Main Application (Initialization & Events)
 // =====================================================
 
+// Hash the page was last shown for - hashchange and popstate both fire on back and forward
+let routedHash = null;
+
+/**
+ * Show one tab (or the tab-less profile page)
+ */
+function showTab(tabId) {
+    document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b.dataset.tab === tabId));
+    document.querySelectorAll('.tab-content').forEach(c => c.classList.toggle('active', c.id === tabId));
+}
+
 /**
  * Setup tab navigation
  */
 function setupTabNavigation() {
     document.querySelectorAll('.tab-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-            // Remove active from all tabs
-            document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-            document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
-
-            // Add active to clicked tab
-            btn.classList.add('active');
-            document.getElementById(btn.dataset.tab).classList.add('active');
+            showTab(btn.dataset.tab);
+            syncUrlState();
         });
     });
 }
 
+/**
+ * Show the page for the current URL hash: a player profile, or a tab with its filters.
+ * No hash is My Collection unfiltered.
+ */
+function handleRoute() {
+    if (location.hash === routedHash) return;
+    routedHash = location.hash;
+
+    const route = parseProfileHash(location.hash);
+    const state = parseUrlState(location.hash) || { tab: 'my-collection', params: new URLSearchParams() };
+
+    if (route) {
+        showTab('profile');
+        openPlayerProfile(route.player, route.realm);
+    } else {
+        showTab(state.tab);
+        applyUrlState(state.tab, state.params);
+    }
+}
+
+/**
+ * Follow profile and tab links, including the back and forward buttons
+ */
+function setupRouter() {
+    window.addEventListener('hashchange', handleRoute);
+    window.addEventListener('popstate', handleRoute);
+    handleRoute();
+}
+
 /**
  * Setup file upload handlers
  */
@@ -50,6 +85,77 @@ function setupFileUpload() {
     });
 }
 
+/**
+ * Setup character profile switcher
+ */
+function setupProfileSwitcher() {
+    document.getElementById('profileSelect').addEventListener('change', (e) => {
+        const profile = characterProfiles[parseInt(e.target.value)];
+        if (profile) setActiveCollection(profile);
+    });
+}
+
+/**
+ * Setup history snapshot pickers
+ */
+function setupHistoryControls() {
+    document.getElementById('historyFrom').addEventListener('change', renderHistoryDiff);
+    document.getElementById('historyTo').addEventListener('change', renderHistoryDiff);
+}
+
+/**
+ * Register the service worker for offline use
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('sw.js')
+        .then(() => console.log('📦 Offline cache ready'))
+        .catch(err => console.warn('Service worker registration failed:', err));
+}
+
+/**
+ * Show the offline banner and replay queued writes when the connection returns
+ */
+function setupOfflineSync() {
+    const banner = document.getElementById('offlineBanner');
+    const update = () => banner.classList.toggle('visible', !navigator.onLine);
+
+    window.addEventListener('offline', update);
+    window.addEventListener('online', async () => {
+        update();
+        await replayOfflineQueue();
+        populateLeaderboardRealms();
+        renderLeaderboard();
+    });
+
+    update();
+    replayOfflineQueue();
+}
+
+/**
+ * Build the score breakdown when the explainer is opened
+ */
+function setupScoreExplainer() {
+    document.getElementById('scoreExplainer').addEventListener('toggle', renderScoreBreakdown);
+}
+
+/**
+ * Wire the data-action elements the renderers produce
+ */
+function setupActions() {
+    onAction('view-player', (data) => viewPlayerCollection(data.player, data.realm));
+    onAction('view-player-all', (data) => viewPlayerCollection(data.player, data.realm, true));
+    onAction('missing-pets', (data) => showMissingPetsFromPlayer(data.player, data.realm));
+    onAction('close-modal', closeModal);
+    onAction('submit-score', submitScore);
+    onAction('claim-character', startCharacterClaim);
+    onAction('release-claim', releaseCharacterClaim);
+    onAction('dismiss-sync-status', hideSyncStatus);
+    onAction('search-suggestion', (data) => acceptSearchSuggestion(parseInt(data.index)));
+    setupActionDelegation();
+}
+
 /**
  * Initialize application
  */
@@ -58,16 +164,37 @@ function initApp() {
 
     // Setup UI
     setupTabNavigation();
+    setupActions();
+    setupVirtualGrids();
     setupFileUpload();
+    setupProfileSwitcher();
+    setupOfflineSync();
+    setupHistoryControls();
+    setupScoreExplainer();
 
     // Populate filters
     populateZoneFilter();
+    populateSourceFilters();
     setupAllFilters();
+    setupMyFilters();
+    setupLeaderboardControls();
+    setupProfileFilters();
 
-    // Initial renders
-    renderAllPets();
+    // Initial renders. A tab link renders its own tab once its filters are applied,
+    // so that tab is left to the router instead of being fetched and drawn twice.
+    const linkedTab = (parseUrlState(location.hash) || {}).tab;
+    if (linkedTab !== 'all-pets') renderAllPets();
     renderPersonalBest();
-    renderLeaderboard();
+    if (linkedTab !== 'leaderboard') renderLeaderboard();
+    if (navigator.onLine) populateLeaderboardRealms();
+
+    // Bring back the collection from the last visit
+    restoreStoredCollections();
+
+    // Open a shared profile or tab link
+    setupRouter();
+
+    registerServiceWorker();
 
     console.log('✅ TauriPets ready!');
 }
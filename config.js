@@ -52,32 +52,36 @@ const sourceLabels = {
     unknown: 'Other'
 };
 
-// Quality Points for Scoring
-const QUALITY_POINTS = {
-    0: 2,   // Poor
-    1: 3,   // Common
-    2: 4,   // Uncommon
-    3: 5,   // Rare
-    4: 7,   // Epic
-    5: 12   // Legendary
+// Leaderboard rows per page
+const LEADERBOARD_PAGE_SIZE = 25;
+
+// Columns of a leaderboard entry the site displays (the window boards add start_score)
+const LEADERBOARD_COLUMNS = 'id, player, realm, score, pets, level25, rare, epic, rules_version, created_at, value, rank';
+
+// Leaderboard boards (board column of the leaderboard_boards view) and their value column header.
+// Boards with periods can also be shown for this week/month/season from the submission history.
+const LEADERBOARD_BOARDS = {
+    score: { label: '🏆 Total Score', column: 'Score', periods: true },
+    gainers: { label: '🚀 Biggest Gainers', column: 'Gain', periods: true },
+    pets: { label: '📦 Unique Pets', column: 'Unique Pets' },
+    level25: { label: '⭐ Level 25s', column: 'Level 25s' },
+    epic: { label: '💜 Epics', column: 'Epics' },
+    rarity: { label: '💎 Rarest Collection', column: 'Rarity' },
+    family: { label: '🌍 Family Completion', column: 'Completion' }
 };
 
-// Achievements
-const ACHIEVEMENTS = [
-    { id: 'collect50', name: '📦 Collector', desc: '50+ unique pets', check: (s) => s.uniqueCount >= 50, bonus: 100 },
-    { id: 'collect100', name: '📦 Dedicated', desc: '100+ unique pets', check: (s) => s.uniqueCount >= 100, bonus: 150 },
-    { id: 'collect250', name: '📦 Obsessed', desc: '250+ unique pets', check: (s) => s.uniqueCount >= 250, bonus: 250 },
-    { id: 'collect500', name: '📦 Insane', desc: '500+ unique pets', check: (s) => s.uniqueCount >= 500, bonus: 500 },
-    { id: 'train10', name: '⭐ Trainer', desc: '10+ level 25 pets', check: (s) => s.level25Count >= 10, bonus: 200 },
-    { id: 'train25', name: '⭐ Pro Trainer', desc: '25+ level 25 pets', check: (s) => s.level25Count >= 25, bonus: 300 },
-    { id: 'train50', name: '⭐ Elite Trainer', desc: '50+ level 25 pets', check: (s) => s.level25Count >= 50, bonus: 500 },
-    { id: 'families', name: '🌍 Zoologist', desc: 'All 10 families', check: (s) => s.familyCount >= 10, bonus: 100 },
-    { id: 'rare25', name: '💎 Quality Hunter', desc: '25+ rare or better', check: (s) => s.rareCount >= 25, bonus: 150 },
-    { id: 'epic10', name: '💜 Epic Collector', desc: '10+ epic or better', check: (s) => s.epicCount >= 10, bonus: 200 },
-];
+// Time windows for boards with periods. Seasons are calendar quarters.
+const LEADERBOARD_PERIODS = {
+    all: 'All Time',
+    season: 'This Season',
+    month: 'This Month',
+    week: 'This Week'
+};
 
 // Global State Variables
 let LEADERBOARD_DATA = [];
+let leaderboardView = { board: 'score', family: 1, period: 'all', page: 0, total: 0, search: '', realm: '', highlight: null };
 let playerData = null;
+let characterProfiles = [];
 let ownedSpeciesIDs = new Set();
 let currentScoreData = null;
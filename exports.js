@@ -0,0 +1,269 @@
+// =====================================================
+// TauriPets - Collection Exports (CSV & JSON)
+// =====================================================
+
+// Columns written for each exported pet, in order
+const EXPORT_COLUMNS = [
+    { key: 'speciesID', label: 'Species ID' },
+    { key: 'speciesName', label: 'Species' },
+    { key: 'customName', label: 'Custom Name' },
+    { key: 'family', label: 'Family' },
+    { key: 'level', label: 'Level' },
+    { key: 'quality', label: 'Quality' },
+    { key: 'breed', label: 'Breed' },
+    { key: 'health', label: 'Health' },
+    { key: 'power', label: 'Power' },
+    { key: 'speed', label: 'Speed' },
+    { key: 'favorite', label: 'Favorite' },
+    { key: 'petID', label: 'Pet ID' },
+    { key: 'source', label: 'Source' },
+    { key: 'zone', label: 'Zone' },
+    { key: 'sourceText', label: 'How to Get' },
+    { key: 'canBattle', label: 'Can Battle' },
+    { key: 'isWild', label: 'Wild' }
+];
+
+/**
+ * Join collection pets with their database entries into flat export rows
+ */
+function buildExportRows(pets) {
+    return pets.map(pet => {
+        const dbPet = getDatabasePet(pet.speciesID) || {};
+        const familyId = pet.petType || pet.familyID || dbPet.family || 0;
+        const qualityNum = typeof pet.quality === 'number' ? pet.quality : (pet.qualityID || 0);
+
+        return {
+            speciesID: pet.speciesID || 0,
+            speciesName: pet.speciesName || pet.name || dbPet.name || 'Unknown',
+            customName: pet.customName || '',
+            family: families[familyId] ? families[familyId].name : (pet.family || 'Unknown'),
+            level: pet.level || 1,
+            quality: qualities[qualityNum] || 'Unknown',
+            breed: pet.breed && pet.breed !== 'Unknown' ? pet.breed : '',
+            health: pet.health || 0,
+            power: pet.power || 0,
+            speed: pet.speed || 0,
+            favorite: !!pet.favorite,
+            petID: pet.petID || '',
+            source: dbPet.source ? (sourceLabels[dbPet.source] || dbPet.source) : '',
+            zone: dbPet.zone || '',
+            sourceText: dbPet.sourceText || '',
+            canBattle: dbPet.canBattle !== undefined ? dbPet.canBattle : '',
+            isWild: dbPet.isWild !== undefined ? dbPet.isWild : ''
+        };
+    });
+}
+
+/**
+ * Format a single CSV cell.
+ * Quotes when needed and defuses values a spreadsheet would run as a formula.
+ */
+function csvCell(value) {
+    let text = typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = "'" + text;
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Build CSV text from rows and column definitions
+ */
+function rowsToCSV(rows, columns) {
+    const lines = [columns.map(c => csvCell(c.label)).join(',')];
+    rows.forEach(row => lines.push(columns.map(c => csvCell(row[c.key])).join(',')));
+    return lines.join('\r\n');
+}
+
+/**
+ * Trigger a browser download of text content
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build a filename like tauripets-Name-Realm-filtered-2026-01-01.csv
+ */
+function exportFilename(scope, extension) {
+    const who = (playerData.playerName + '-' + playerData.realmName).replace(/[^\w\-]+/g, '_');
+    return 'tauripets-' + who + '-' + scope + '-' + new Date().toISOString().split('T')[0] + '.' + extension;
+}
+
+/**
+ * Export the loaded collection as CSV or JSON.
+ * scope is 'filtered' (current My Collection view) or 'all'.
+ */
+function exportCollection(format, scope) {
+    if (!playerData || !playerData.pets) {
+        alert('Please load your collection first!');
+        return;
+    }
+
+    const pets = scope === 'filtered' ? getMyFilteredPets() : playerData.pets;
+    if (pets.length === 0) {
+        alert('No pets to export - try clearing your filters.');
+        return;
+    }
+
+    const rows = buildExportRows(pets);
+
+    if (format === 'csv') {
+        // Leading BOM so Excel opens the file as UTF-8
+        downloadFile(exportFilename(scope, 'csv'), '\uFEFF' + rowsToCSV(rows, EXPORT_COLUMNS), 'text/csv;charset=utf-8');
+    } else {
+        const payload = {
+            player: playerData.playerName,
+            realm: playerData.realmName,
+            exportDate: playerData.exportDate || '',
+            exportedAt: new Date().toISOString(),
+            scope,
+            count: rows.length,
+            pets: rows
+        };
+        downloadFile(exportFilename(scope, 'json'), JSON.stringify(payload, null, 2), 'application/json');
+    }
+}
+
+// =====================================================
+// Farming Plan (missing pets grouped by zone & source)
+// =====================================================
+
+/**
+ * Build the farming plan for the missing pets in the current All Pets view.
+ * Returns zones sorted by name, each with source groups and a vendor gold total.
+ */
+function buildFarmingPlan() {
+    const missing = getAllFilteredPets().filter(p => !ownedSpeciesIDs.has(p.speciesID));
+    const zones = new Map();
+
+    for (const pet of missing) {
+        const primary = getPetSources(pet)[0];
+        const zone = primary.zones[0] || 'Anywhere / No Zone';
+        const cost = primary.cost;
+
+        if (!zones.has(zone)) zones.set(zone, { zone, groups: new Map(), goldTotal: 0, count: 0 });
+        const entry = zones.get(zone);
+
+        if (!entry.groups.has(pet.source)) entry.groups.set(pet.source, []);
+        entry.groups.get(pet.source).push({
+            name: pet.name,
+            family: families[pet.family] ? families[pet.family].name : 'Unknown',
+            vendor: primary.vendors.join(', '),
+            cost: cost ? cost.amount : null,
+            costCurrency: cost ? cost.currency : '',
+            details: pet.sourceText || ''
+        });
+        entry.count++;
+
+        if (pet.source === 'vendor' && cost && cost.currency === 'gold') entry.goldTotal += cost.amount;
+    }
+
+    const sourceOrder = Object.keys(sourceLabels);
+    return [...zones.values()]
+        .sort((a, b) => a.zone.localeCompare(b.zone))
+        .map(z => ({
+            zone: z.zone,
+            count: z.count,
+            goldTotal: z.goldTotal,
+            groups: [...z.groups.entries()]
+                .sort((a, b) => sourceOrder.indexOf(a[0]) - sourceOrder.indexOf(b[0]))
+                .map(([source, pets]) => ({
+                    source,
+                    label: sourceLabels[source] || source,
+                    pets: pets.sort((a, b) => a.name.localeCompare(b.name))
+                }))
+        }));
+}
+
+/**
+ * Format a farming plan cost cell
+ */
+function formatPlanCost(pet) {
+    if (pet.cost === null) return '';
+    return pet.costCurrency === 'gold' ? pet.cost + 'g' : pet.cost + ' (' + pet.costCurrency + ')';
+}
+
+/**
+ * Render a farming plan as Markdown
+ */
+function farmingPlanToMarkdown(plan, title) {
+    const cell = (text) => String(text).replace(/\|/g, '\\|');
+    const lines = ['# ' + title, ''];
+
+    for (const zone of plan) {
+        lines.push('## ' + zone.zone + ' (' + zone.count + ' pets' +
+            (zone.goldTotal ? ', vendor total: ' + zone.goldTotal.toLocaleString() + 'g' : '') + ')', '');
+
+        for (const group of zone.groups) {
+            lines.push('### ' + group.label, '');
+            lines.push('| Pet | Family | Vendor | Cost | Details |');
+            lines.push('|-----|--------|--------|------|---------|');
+            group.pets.forEach(p => {
+                lines.push('| ' + [p.name, p.family, p.vendor, formatPlanCost(p), p.details].map(cell).join(' | ') + ' |');
+            });
+            lines.push('');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Render a farming plan as a standalone printable HTML page
+ */
+function farmingPlanToHTML(plan, title) {
+    const sections = plan.map(zone =>
+        '<section><h2>' + escapeHtml(zone.zone) + ' <small>(' + zone.count + ' pets' +
+        (zone.goldTotal ? ', vendor total: ' + zone.goldTotal.toLocaleString() + 'g' : '') + ')</small></h2>' +
+        zone.groups.map(group =>
+            '<h3>' + escapeHtml(group.label) + '</h3>' +
+            '<table><thead><tr><th>☐</th><th>Pet</th><th>Family</th><th>Vendor</th><th>Cost</th><th>Details</th></tr></thead><tbody>' +
+            group.pets.map(p =>
+                '<tr><td>☐</td><td>' + escapeHtml(p.name) + '</td><td>' + escapeHtml(p.family) + '</td><td>' +
+                escapeHtml(p.vendor) + '</td><td>' + escapeHtml(formatPlanCost(p)) + '</td><td>' + escapeHtml(p.details) + '</td></tr>'
+            ).join('') +
+            '</tbody></table>'
+        ).join('') +
+        '</section>'
+    ).join('');
+
+    return '<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>' + escapeHtml(title) + '</title>' +
+        '<style>' +
+        'body{font-family:"Segoe UI",Tahoma,sans-serif;color:#222;margin:30px;}' +
+        'h1{font-size:1.6rem;}h2{font-size:1.2rem;border-bottom:2px solid #00aa5a;padding-bottom:4px;margin-top:25px;}' +
+        'h2 small{color:#666;font-weight:normal;font-size:0.85rem;}h3{font-size:0.95rem;color:#555;margin:12px 0 6px;}' +
+        'table{width:100%;border-collapse:collapse;font-size:0.8rem;}th,td{border:1px solid #ccc;padding:4px 6px;text-align:left;}' +
+        'th{background:#f0f0f0;}section{page-break-inside:avoid;}' +
+        '@media print{body{margin:10mm;}}' +
+        '</style></head><body><h1>' + escapeHtml(title) + '</h1>' + sections + '</body></html>';
+}
+
+/**
+ * Export the farming plan for missing pets as 'html' or 'markdown'
+ */
+function exportFarmingPlan(format) {
+    const plan = buildFarmingPlan();
+    if (plan.length === 0) {
+        alert('No missing pets in the current view - nothing to farm!');
+        return;
+    }
+
+    const who = playerData ? playerData.playerName + '-' + playerData.realmName : 'Collector';
+    const title = 'TauriPets Farming Plan - ' + who + ' (' + new Date().toISOString().split('T')[0] + ')';
+    const base = 'tauripets-farming-plan-' + who.replace(/[^\w\-]+/g, '_');
+
+    if (format === 'html') {
+        downloadFile(base + '.html', farmingPlanToHTML(plan, title), 'text/html;charset=utf-8');
+    } else {
+        downloadFile(base + '.md', farmingPlanToMarkdown(plan, title), 'text/markdown;charset=utf-8');
+    }
+}
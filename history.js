@@ -0,0 +1,196 @@
+// =====================================================
+// TauriPets - Collection History (Snapshots & Charts)
+// =====================================================
+
+// Snapshots shown in the History tab, used by the diff pickers
+let historySnapshots = [];
+
+/**
+ * Build a dated snapshot of a collection: best copy per species plus totals
+ */
+function buildSnapshot(data) {
+    const scoreData = calculateScore(data.pets);
+    const pets = {};
+
+    (data.pets || []).forEach(pet => {
+        if (!pet.speciesID) return;
+        const quality = typeof pet.quality === 'number' ? pet.quality : (pet.qualityID || 0);
+        const level = pet.level || 1;
+        const best = pets[pet.speciesID];
+        if (!best || quality > best.quality || (quality === best.quality && level > best.level)) {
+            pets[pet.speciesID] = { level, quality, name: pet.speciesName || pet.name || '' };
+        }
+    });
+
+    const now = new Date();
+    return {
+        collectionId: collectionKey(data),
+        date: now.toISOString().split('T')[0],
+        timestamp: now.getTime(),
+        exportDate: data.exportDate || '',
+        score: scoreData ? scoreData.total : 0,
+        uniqueCount: scoreData ? scoreData.stats.uniqueCount : 0,
+        level25Count: scoreData ? scoreData.stats.level25Count : 0,
+        pets
+    };
+}
+
+/**
+ * Save a snapshot for an imported collection unless nothing changed since the last one
+ */
+async function recordSnapshot(data) {
+    const snapshot = buildSnapshot(data);
+    const previous = await loadSnapshots(snapshot.collectionId);
+    const last = previous[previous.length - 1];
+
+    if (last && last.score === snapshot.score && JSON.stringify(last.pets) === JSON.stringify(snapshot.pets)) {
+        return false;
+    }
+    return saveSnapshot(snapshot);
+}
+
+/**
+ * Compare two snapshots: new pets, levelled pets, quality upgrades and pets no longer owned
+ */
+function diffSnapshots(from, to) {
+    const diff = { added: [], levelled: [], upgraded: [], removed: [] };
+    const nameOf = (id, pet) => pet.name || (getDatabasePet(id) || {}).name || 'Species #' + id;
+
+    for (const id in to.pets) {
+        const after = to.pets[id];
+        const before = from.pets[id];
+        const name = nameOf(id, after);
+
+        if (!before) {
+            diff.added.push({ name, level: after.level, quality: after.quality });
+            continue;
+        }
+        if (after.level > before.level) diff.levelled.push({ name, from: before.level, to: after.level });
+        if (after.quality > before.quality) diff.upgraded.push({ name, from: before.quality, to: after.quality });
+    }
+
+    for (const id in from.pets) {
+        if (!to.pets[id]) diff.removed.push({ name: nameOf(id, from.pets[id]) });
+    }
+
+    Object.values(diff).forEach(list => list.sort((a, b) => a.name.localeCompare(b.name)));
+    return diff;
+}
+
+/**
+ * Render a small SVG line chart of { timestamp, value } points
+ */
+function renderLineChart(title, points, color) {
+    const width = 600, height = 160, pad = { top: 15, right: 15, bottom: 25, left: 50 };
+    const innerW = width - pad.left - pad.right;
+    const innerH = height - pad.top - pad.bottom;
+
+    const values = points.map(p => p.value);
+    let min = Math.min(...values), max = Math.max(...values);
+    if (min === max) { min = Math.max(0, min - 1); max = max + 1; }
+
+    const first = points[0].timestamp, last = points[points.length - 1].timestamp;
+    const x = (t) => pad.left + (last === first ? innerW / 2 : (t - first) / (last - first) * innerW);
+    const y = (v) => pad.top + innerH - (v - min) / (max - min) * innerH;
+
+    const path = points.map((p, i) => (i === 0 ? 'M' : 'L') + x(p.timestamp).toFixed(1) + ',' + y(p.value).toFixed(1)).join(' ');
+    const dots = points.map(p =>
+        '<circle cx="' + x(p.timestamp).toFixed(1) + '" cy="' + y(p.value).toFixed(1) + '" r="4" fill="' + color + '">' +
+        '<title>' + new Date(p.timestamp).toLocaleDateString() + ': ' + p.value.toLocaleString() + '</title></circle>'
+    ).join('');
+
+    const latest = values[values.length - 1];
+    const change = latest - values[0];
+
+    return '<div class="history-chart">' +
+        '<div class="history-chart-header"><span class="history-chart-title">' + title + '</span>' +
+        '<span class="history-chart-value" style="color:' + color + '">' + latest.toLocaleString() +
+        (points.length > 1 ? ' <small>(' + (change >= 0 ? '+' : '') + change.toLocaleString() + ')</small>' : '') + '</span></div>' +
+        '<svg viewBox="0 0 ' + width + ' ' + height + '" preserveAspectRatio="none">' +
+        '<line x1="' + pad.left + '" y1="' + (pad.top + innerH) + '" x2="' + (width - pad.right) + '" y2="' + (pad.top + innerH) + '" class="axis"/>' +
+        '<text x="' + (pad.left - 8) + '" y="' + (pad.top + 4) + '" text-anchor="end">' + max.toLocaleString() + '</text>' +
+        '<text x="' + (pad.left - 8) + '" y="' + (pad.top + innerH) + '" text-anchor="end">' + min.toLocaleString() + '</text>' +
+        '<text x="' + pad.left + '" y="' + (height - 5) + '">' + new Date(first).toLocaleDateString() + '</text>' +
+        '<text x="' + (width - pad.right) + '" y="' + (height - 5) + '" text-anchor="end">' + new Date(last).toLocaleDateString() + '</text>' +
+        '<path d="' + path + '" fill="none" stroke="' + color + '" stroke-width="2.5"/>' +
+        dots +
+        '</svg></div>';
+}
+
+/**
+ * Render the History tab for the active collection
+ */
+async function renderHistory() {
+    const empty = document.getElementById('historyEmpty');
+    const content = document.getElementById('historyContent');
+
+    if (!playerData) {
+        empty.style.display = 'block';
+        content.style.display = 'none';
+        return;
+    }
+
+    const snapshots = await loadSnapshots(collectionKey(playerData));
+    if (snapshots.length === 0) {
+        empty.style.display = 'block';
+        content.style.display = 'none';
+        return;
+    }
+
+    empty.style.display = 'none';
+    content.style.display = 'block';
+    document.getElementById('historyTitle').textContent = '📈 ' + collectionKey(playerData) + ' - ' + snapshots.length + ' snapshot' + (snapshots.length === 1 ? '' : 's');
+
+    const series = (key) => snapshots.map(s => ({ timestamp: s.timestamp, value: s[key] }));
+    document.getElementById('historyCharts').innerHTML =
+        renderLineChart('Unique Pets', series('uniqueCount'), '#00ff88') +
+        renderLineChart('Level 25 Pets', series('level25Count'), '#00ccff') +
+        renderLineChart('Score', series('score'), '#ffd700');
+
+    // Snapshot pickers for the diff, defaulting to the last two imports
+    const fromSelect = document.getElementById('historyFrom');
+    const toSelect = document.getElementById('historyTo');
+    const options = snapshots.map((s, i) =>
+        '<option value="' + i + '">' + new Date(s.timestamp).toLocaleString() + ' (' + s.score.toLocaleString() + ')</option>'
+    ).join('');
+    fromSelect.innerHTML = options;
+    toSelect.innerHTML = options;
+    fromSelect.value = Math.max(0, snapshots.length - 2);
+    toSelect.value = snapshots.length - 1;
+
+    historySnapshots = snapshots;
+    renderHistoryDiff();
+}
+
+/**
+ * Render the diff between the two selected snapshots
+ */
+function renderHistoryDiff() {
+    const from = historySnapshots[parseInt(document.getElementById('historyFrom').value)];
+    const to = historySnapshots[parseInt(document.getElementById('historyTo').value)];
+    const container = document.getElementById('historyDiff');
+    if (!from || !to) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const diff = diffSnapshots(from, to);
+    const scoreChange = to.score - from.score;
+
+    const section = (title, items, format) =>
+        '<div class="history-diff-section"><h4>' + title + ' (' + items.length + ')</h4>' +
+        (items.length === 0 ? '<p class="history-none">None</p>' :
+            '<ul>' + items.map(item => '<li>' + format(item) + '</li>').join('') + '</ul>') +
+        '</div>';
+
+    container.innerHTML =
+        '<div class="history-diff-summary">Score ' + (scoreChange >= 0 ? '+' : '') + scoreChange.toLocaleString() +
+        ' • Unique pets ' + (to.uniqueCount - from.uniqueCount >= 0 ? '+' : '') + (to.uniqueCount - from.uniqueCount) +
+        ' • Level 25 ' + (to.level25Count - from.level25Count >= 0 ? '+' : '') + (to.level25Count - from.level25Count) + '</div>' +
+        '<div class="history-diff-grid">' +
+        section('🆕 New Pets', diff.added, p => escapeHtml(p.name) + ' <span class="history-meta">Lv ' + p.level + ' ' + (qualities[p.quality] || '') + '</span>') +
+        section('⬆️ Levelled', diff.levelled, p => escapeHtml(p.name) + ' <span class="history-meta">' + p.from + ' → ' + p.to + '</span>') +
+        section('💎 Quality Upgrades', diff.upgraded, p => escapeHtml(p.name) + ' <span class="history-meta">' + qualities[p.from] + ' → ' + qualities[p.to] + '</span>') +
+        (diff.removed.length > 0 ? section('👋 No Longer Owned', diff.removed, p => escapeHtml(p.name)) : '') +
+        '</div>';
+}
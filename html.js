@@ -0,0 +1,50 @@
+// =====================================================
+// TauriPets - Safe HTML (escaping & click delegation)
+// =====================================================
+
+/**
+ * Escape text for HTML content and quoted attribute values.
+ * Everything that comes from a collection, the leaderboard or localStorage goes through this
+ * before it is concatenated into markup - shared collections can hold any string.
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Handlers for rendered elements with a data-action attribute, by action name.
+// Rendered markup never carries inline onclick code, so names can't break out of it.
+const CLICK_ACTIONS = {};
+
+/**
+ * Register the handler for data-action="name" elements.
+ * handler(data, element) gets the element's data-* values.
+ */
+function onAction(name, handler) {
+    CLICK_ACTIONS[name] = handler;
+}
+
+/**
+ * Attributes that wire an element to an action, with escaped data-* values:
+ * '<button' + actionAttrs('view-player', { player, realm }) + '>'
+ */
+function actionAttrs(action, data) {
+    return ' data-action="' + escapeHtml(action) + '"' + Object.keys(data || {}).map(key =>
+        ' data-' + key + '="' + escapeHtml(data[key]) + '"'
+    ).join('');
+}
+
+/**
+ * Dispatch clicks on data-action elements from one document-level listener
+ */
+function setupActionDelegation() {
+    document.addEventListener('click', (e) => {
+        const element = e.target.closest('[data-action]');
+        if (!element || !CLICK_ACTIONS[element.dataset.action]) return;
+        CLICK_ACTIONS[element.dataset.action](element.dataset, element);
+    });
+}
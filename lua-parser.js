@@ -0,0 +1,272 @@
+// =====================================================
+// TauriPets - Lua Table Parser (SavedVariables)
+// =====================================================
+
+// Single-character escapes allowed inside quoted strings
+const LUA_SIMPLE_ESCAPES = {
+    n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v',
+    '\\': '\\', '"': '"', "'": "'", '\n': '\n'
+};
+
+/**
+ * Build a parse error that points at a line and column
+ */
+function luaParseError(message, line, column) {
+    const err = new Error(message + ' (line ' + line + ', column ' + column + ')');
+    err.line = line;
+    err.column = column;
+    return err;
+}
+
+/**
+ * Split Lua source into tokens.
+ * Handles the subset WoW writes to SavedVariables: strings with escapes,
+ * numbers (including floats, exponents and hex), booleans, nil,
+ * identifiers, table punctuation and both line and block comments.
+ */
+function tokenizeLua(source) {
+    const tokens = [];
+    let pos = 0, line = 1, column = 1;
+
+    const advance = (n) => {
+        for (let i = 0; i < n; i++) {
+            if (source[pos] === '\n') { line++; column = 1; }
+            else column++;
+            pos++;
+        }
+    };
+
+    // Returns the level of a long bracket opener ([[, [==[ ...) at pos, or -1
+    const longBracketLevel = (at) => {
+        if (source[at] !== '[') return -1;
+        let i = at + 1, level = 0;
+        while (source[i] === '=') { level++; i++; }
+        return source[i] === '[' ? level : -1;
+    };
+
+    const readLongBracket = (level, startLine, startColumn) => {
+        const close = ']' + '='.repeat(level) + ']';
+        advance(level + 2);
+        // A newline straight after the opener is skipped, as in Lua
+        if (source[pos] === '\r') advance(1);
+        if (source[pos] === '\n') advance(1);
+        const end = source.indexOf(close, pos);
+        if (end === -1) throw luaParseError('Unfinished long string or comment', startLine, startColumn);
+        const text = source.slice(pos, end);
+        advance(end - pos + close.length);
+        return text;
+    };
+
+    while (pos < source.length) {
+        const ch = source[pos];
+
+        // Whitespace
+        if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n' || ch === '\f' || ch === '\v') {
+            advance(1);
+            continue;
+        }
+
+        const tokLine = line, tokColumn = column;
+
+        // Comments
+        if (ch === '-' && source[pos + 1] === '-') {
+            advance(2);
+            const level = longBracketLevel(pos);
+            if (level >= 0) {
+                readLongBracket(level, tokLine, tokColumn);
+            } else {
+                while (pos < source.length && source[pos] !== '\n') advance(1);
+            }
+            continue;
+        }
+
+        // Quoted strings
+        if (ch === '"' || ch === "'") {
+            advance(1);
+            let value = '';
+            while (true) {
+                if (pos >= source.length || source[pos] === '\n') {
+                    throw luaParseError('Unfinished string', tokLine, tokColumn);
+                }
+                const c = source[pos];
+                if (c === ch) { advance(1); break; }
+                if (c !== '\\') { value += c; advance(1); continue; }
+
+                const escLine = line, escColumn = column;
+                const next = source[pos + 1];
+                if (next in LUA_SIMPLE_ESCAPES) {
+                    value += LUA_SIMPLE_ESCAPES[next];
+                    advance(2);
+                } else if (/[0-9]/.test(next)) {
+                    const digits = source.slice(pos + 1, pos + 4).match(/^[0-9]{1,3}/)[0];
+                    const code = parseInt(digits, 10);
+                    if (code > 255) throw luaParseError('Decimal escape too large', escLine, escColumn);
+                    value += String.fromCharCode(code);
+                    advance(1 + digits.length);
+                } else if (next === 'x' && /^[0-9a-fA-F]{2}$/.test(source.slice(pos + 2, pos + 4))) {
+                    value += String.fromCharCode(parseInt(source.slice(pos + 2, pos + 4), 16));
+                    advance(4);
+                } else {
+                    throw luaParseError('Invalid escape sequence \\' + (next || ''), escLine, escColumn);
+                }
+            }
+            tokens.push({ type: 'string', value, line: tokLine, column: tokColumn });
+            continue;
+        }
+
+        // Long strings
+        if (ch === '[') {
+            const level = longBracketLevel(pos);
+            if (level >= 0) {
+                const value = readLongBracket(level, tokLine, tokColumn);
+                tokens.push({ type: 'string', value, line: tokLine, column: tokColumn });
+                continue;
+            }
+        }
+
+        // Numbers
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+            const rest = source.slice(pos);
+            const match = rest.match(/^0[xX][0-9a-fA-F]+/) || rest.match(/^(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/);
+            const text = match[0];
+            const value = /^0[xX]/.test(text) ? parseInt(text, 16) : parseFloat(text);
+            if (/[A-Za-z_]/.test(source[pos + text.length] || '')) {
+                throw luaParseError('Malformed number', tokLine, tokColumn);
+            }
+            tokens.push({ type: 'number', value, line: tokLine, column: tokColumn });
+            advance(text.length);
+            continue;
+        }
+
+        // Identifiers and keywords
+        if (/[A-Za-z_]/.test(ch)) {
+            const text = source.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+            if (text === 'true' || text === 'false') {
+                tokens.push({ type: 'boolean', value: text === 'true', line: tokLine, column: tokColumn });
+            } else if (text === 'nil') {
+                tokens.push({ type: 'nil', value: null, line: tokLine, column: tokColumn });
+            } else {
+                tokens.push({ type: 'name', value: text, line: tokLine, column: tokColumn });
+            }
+            advance(text.length);
+            continue;
+        }
+
+        // Punctuation
+        if ('{}[]=,;-'.includes(ch)) {
+            tokens.push({ type: ch, value: ch, line: tokLine, column: tokColumn });
+            advance(1);
+            continue;
+        }
+
+        throw luaParseError('Unexpected character "' + ch + '"', tokLine, tokColumn);
+    }
+
+    tokens.push({ type: 'eof', value: null, line, column });
+    return tokens;
+}
+
+/**
+ * Parse a SavedVariables file into a plain object of its global assignments.
+ * Tables whose keys are exactly 1..n become arrays; everything else becomes
+ * an object. Throws an Error carrying line/column on malformed input.
+ */
+function parseLua(source) {
+    const tokens = tokenizeLua(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    const describe = (tok) => tok.type === 'eof' ? 'end of file' : '"' + (tok.type === 'string' ? tok.value : String(tok.value)) + '"';
+
+    const expect = (type) => {
+        const tok = next();
+        if (tok.type !== type) {
+            throw luaParseError('Expected "' + type + '" but found ' + describe(tok), tok.line, tok.column);
+        }
+        return tok;
+    };
+
+    const parseValue = () => {
+        const tok = next();
+        switch (tok.type) {
+            case 'string':
+            case 'number':
+            case 'boolean':
+            case 'nil':
+                return tok.value;
+            case '-': {
+                const num = expect('number');
+                return -num.value;
+            }
+            case '{':
+                return parseTable();
+            default:
+                throw luaParseError('Unexpected ' + describe(tok), tok.line, tok.column);
+        }
+    };
+
+    const parseTable = () => {
+        const entries = new Map();
+        let arrayIndex = 1;
+
+        while (peek().type !== '}') {
+            const tok = peek();
+            let key;
+
+            if (tok.type === '[') {
+                next();
+                key = parseValue();
+                if (key === null) throw luaParseError('Table index is nil', tok.line, tok.column);
+                expect(']');
+                expect('=');
+                entries.set(key, parseValue());
+            } else if (tok.type === 'name' && tokens[index + 1].type === '=') {
+                next();
+                next();
+                entries.set(tok.value, parseValue());
+            } else {
+                entries.set(arrayIndex++, parseValue());
+            }
+
+            const sep = peek();
+            if (sep.type === ',' || sep.type === ';') next();
+            else if (sep.type !== '}') {
+                throw luaParseError('Expected "," or "}" but found ' + describe(sep), sep.line, sep.column);
+            }
+        }
+        expect('}');
+
+        return luaTableToJS(entries);
+    };
+
+    const result = {};
+    while (peek().type !== 'eof') {
+        const name = expect('name');
+        expect('=');
+        result[name.value] = parseValue();
+    }
+
+    return result;
+}
+
+/**
+ * Convert a parsed table's entries to an array (keys 1..n) or an object
+ */
+function luaTableToJS(entries) {
+    const keys = [...entries.keys()];
+    const isArray = keys.length > 0 && keys.every(k => Number.isInteger(k) && k >= 1 && k <= keys.length);
+
+    if (isArray) {
+        const arr = new Array(keys.length);
+        entries.forEach((value, key) => { arr[key - 1] = value; });
+        return arr;
+    }
+
+    const obj = {};
+    entries.forEach((value, key) => {
+        if (value !== null) obj[key] = value;
+    });
+    return obj;
+}
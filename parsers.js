@@ -2,17 +2,40 @@
 // TauriPets - Data Parsers (Lua & Copy Format)
 // =====================================================
 
+// Copy format v2: TAURIPETS:v2:<encoding>:<name>:<realm>:<date>:<owned>:<total>:<score>[:<claim token>]
+// followed by the body (pipe-separated lines, or one base64 line when encoding
+// is "z") and a CRC32:<hex> trailer computed over the header and plain body.
+// Pet lines leave out the species name and family, which the database has.
+const COPY_FORMAT_V2_TAG = 'v2';
+const COPY_ENCODING_PLAIN = 'p';
+const COPY_ENCODING_DEFLATE = 'z';
+
 /**
- * Parse copy format (TAURIPETS:...)
+ * Parse copy format (TAURIPETS:...), v1 or v2
  */
-function parseCopyFormat(text) {
-    const lines = text.trim().split('\n');
-    if (lines.length < 1) throw new Error('Empty data');
+async function parseCopyFormat(text) {
+    const lines = text.trim().split(/\r?\n/);
+    if (lines.length < 1 || !lines[0]) throw new Error('Empty data');
 
     const header = lines[0].split(':');
     if (header[0] !== 'TAURIPETS') throw new Error('Invalid format');
 
+    const data = header[1] === COPY_FORMAT_V2_TAG
+        ? await parseCopyFormatV2(lines)
+        : parseCopyFormatV1(lines);
+
+    if (data.pets.length === 0) throw new Error('No pets found');
+    return data;
+}
+
+/**
+ * Parse the original v1 copy format
+ */
+function parseCopyFormatV1(lines) {
+    const header = lines[0].split(':');
+
     const data = {
+        formatVersion: 1,
         playerName: header[1] || 'Unknown',
         realmName: header[2] || 'TauriWoW',
         exportDate: header[3] || '',
@@ -21,6 +44,7 @@ function parseCopyFormat(text) {
         addonScore: parseInt(header[6]) || 0,
         pets: []
     };
+    if (header[7]) data.claimToken = header[7].trim();
 
     for (let i = 1; i < lines.length; i++) {
         const line = lines[i].trim();
@@ -42,24 +66,250 @@ function parseCopyFormat(text) {
         }
     }
 
-    if (data.pets.length === 0) throw new Error('No pets found');
     return data;
 }
 
 /**
- * Parse Lua SavedVariables file
+ * Parse the v2 copy format, verifying its checksum
+ */
+async function parseCopyFormatV2(lines) {
+    const headerLine = lines[0].trim();
+    const header = headerLine.split(':').map(unescapeCopyField);
+    const encoding = header[2];
+
+    const trailer = lines[lines.length - 1].trim();
+    if (lines.length < 2 || !trailer.startsWith('CRC32:')) {
+        throw new Error('Data looks truncated (checksum line missing). Copy it again from the game.');
+    }
+
+    const bodyLines = lines.slice(1, -1).map(l => l.trim()).filter(l => l);
+    let body;
+    if (encoding === COPY_ENCODING_DEFLATE) {
+        body = await inflateBase64(bodyLines.join(''));
+    } else if (encoding === COPY_ENCODING_PLAIN) {
+        body = bodyLines.join('\n');
+    } else {
+        throw new Error('Unknown copy format encoding "' + encoding + '"');
+    }
+
+    const expected = trailer.slice('CRC32:'.length).toLowerCase();
+    if (crc32(headerLine + '\n' + body) !== expected) {
+        throw new Error('Checksum mismatch - the data was changed or cut off while copying.');
+    }
+
+    const data = {
+        formatVersion: 2,
+        playerName: header[3] || 'Unknown',
+        realmName: header[4] || 'TauriWoW',
+        exportDate: header[5] || '',
+        ownedPets: parseInt(header[6]) || 0,
+        totalPets: parseInt(header[7]) || 0,
+        addonScore: parseInt(header[8]) || 0,
+        pets: []
+    };
+    if (header[9]) data.claimToken = header[9];
+
+    for (const line of body.split('\n')) {
+        if (!line) continue;
+
+        const parts = line.split('|').map(unescapeCopyField);
+        if (parts.length < 7) continue;
+
+        const speciesID = parseInt(parts[0]) || 0;
+        const dbPet = getDatabasePet(speciesID);
+        const pet = {
+            speciesID,
+            speciesName: dbPet ? dbPet.name : 'Species #' + speciesID,
+            petType: dbPet ? dbPet.family : 0,
+            level: parseInt(parts[1]) || 1,
+            quality: parseInt(parts[2]) || 0,
+            health: parseInt(parts[3]) || 0,
+            power: parseInt(parts[4]) || 0,
+            speed: parseInt(parts[5]) || 0,
+            favorite: parts[6] === '1'
+        };
+        if (parts[7]) pet.breed = parts[7];
+        if (parts[8]) pet.petID = parts[8];
+        if (parts[9]) pet.customName = parts[9];
+
+        data.pets.push(pet);
+    }
+
+    return data;
+}
+
+/**
+ * Build a v2 copy-format string from a collection.
+ * With compress set, the body is deflated and base64-encoded.
+ */
+async function buildCopyFormat(data, score, compress) {
+    const encoding = compress ? COPY_ENCODING_DEFLATE : COPY_ENCODING_PLAIN;
+    const pets = data.pets || [];
+
+    const headerLine = ['TAURIPETS', COPY_FORMAT_V2_TAG, encoding].concat([
+        data.playerName || 'Unknown',
+        data.realmName || 'TauriWoW',
+        data.exportDate || new Date().toISOString().split('T')[0],
+        data.ownedPets || pets.length,
+        data.totalPets || 0,
+        score || 0
+    ].map(escapeCopyField)).join(':');
+
+    const body = pets.map(pet => [
+        pet.speciesID || 0,
+        pet.level || 1,
+        typeof pet.quality === 'number' ? pet.quality : (pet.qualityID || 0),
+        pet.health || 0,
+        pet.power || 0,
+        pet.speed || 0,
+        pet.favorite ? 1 : 0,
+        pet.breed && pet.breed !== 'Unknown' ? pet.breed : '',
+        pet.petID || '',
+        pet.customName || ''
+    ].map(escapeCopyField).join('|')).join('\n');
+
+    const encodedBody = compress ? await deflateBase64(body) : body;
+
+    return headerLine + '\n' + encodedBody + '\nCRC32:' + crc32(headerLine + '\n' + body);
+}
+
+/**
+ * %XX escape of one character (%uXXXX above 0xFF)
+ */
+function copyFieldEscape(c) {
+    const code = c.charCodeAt(0);
+    return code > 0xFF
+        ? '%u' + code.toString(16).toUpperCase().padStart(4, '0')
+        : '%' + code.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Escape the copy-format separators inside a field.
+ * Leading and trailing whitespace is escaped too: parsing trims each line before the
+ * checksum, which would otherwise eat a space at the end of the last field ("Nut ").
+ */
+function escapeCopyField(value) {
+    return String(value)
+        .replace(/[%|:\r\n]/g, copyFieldEscape)
+        .replace(/^\s+|\s+$/g, spaces => spaces.replace(/[\s\S]/g, copyFieldEscape));
+}
+
+/**
+ * Reverse escapeCopyField
+ */
+function unescapeCopyField(value) {
+    return value.replace(/%u([0-9A-Fa-f]{4})|%([0-9A-Fa-f]{2})/g, (m, wide, hex) => String.fromCharCode(parseInt(wide || hex, 16)));
+}
+
+/**
+ * CRC32 of a string's UTF-8 bytes, as 8 lowercase hex digits
+ */
+function crc32(text) {
+    if (!crc32.table) {
+        crc32.table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            crc32.table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (const byte of new TextEncoder().encode(text)) {
+        crc = crc32.table[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Deflate a string and return it as base64
+ */
+async function deflateBase64(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 and inflate it back to a string
+ */
+async function inflateBase64(encoded) {
+    let binary;
+    try {
+        binary = atob(encoded);
+    } catch (e) {
+        throw new Error('Compressed data is not valid base64 - it may have been cut off.');
+    }
+
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    try {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return await new Response(stream).text();
+    } catch (e) {
+        throw new Error('Could not decompress data - it may have been cut off.');
+    }
+}
+
+/**
+ * Parse Lua SavedVariables file (first character only)
  */
 function parseLuaFile(content) {
-    let match = content.match(/TauriPetsGUI_Export\s*=\s*\{/);
-    let varName = 'TauriPetsGUI_Export';
+    return parseLuaCharacters(content)[0];
+}
 
-    if (!match) {
-        match = content.match(/TauriPetsDB\s*=\s*\{/);
-        varName = 'TauriPetsDB';
+/**
+ * Parse every character/realm collection in a Lua SavedVariables file
+ */
+function parseLuaCharacters(content) {
+    const tree = parseLua(content);
+
+    // GUI exports come first so they win over TauriPetsDB for the same character
+    const roots = [tree.TauriPetsGUI_Export, tree.TauriPetsDB].filter(r => r && typeof r === 'object');
+    if (roots.length === 0) throw new Error('Could not find TauriPetsDB or TauriPetsGUI_Export in file.');
+
+    const characters = [];
+    const seen = new Set();
+
+    for (const root of roots) {
+        for (const { block, key } of findPetsBlocks(root, '', [])) {
+            const data = buildCharacterData(block, root, key);
+            const id = (data.playerName + '-' + data.realmName).toLowerCase();
+            if (seen.has(id)) continue;
+            seen.add(id);
+            characters.push(data);
+        }
+    }
+
+    if (characters.length === 0) throw new Error('Could not find pet data.');
+    return characters;
+}
+
+/**
+ * Collect every table in a parsed SavedVariables tree that holds a pets list,
+ * along with the key it was stored under
+ */
+function findPetsBlocks(node, key, found) {
+    if (!node || typeof node !== 'object') return found;
+    if (node.pets && typeof node.pets === 'object') {
+        found.push({ block: node, key: String(key) });
+        return found;
     }
 
-    if (!match) throw new Error('Could not find pet data.');
+    for (const childKey in node) {
+        findPetsBlocks(node[childKey], childKey, found);
+    }
+    return found;
+}
 
+/**
+ * Build a collection object from one character's pets block
+ */
+function buildCharacterData(block, root, key) {
     const data = {
         playerName: '',
         realmName: '',
@@ -69,32 +319,31 @@ function parseLuaFile(content) {
         pets: []
     };
 
-    // Parse player name
-    const playerMatch = content.match(/\["player"\]\s*=\s*"([^"]+)"/);
-    if (playerMatch) {
-        const parts = playerMatch[1].split('-');
+    // Parse player name - from the block itself, else a "Name-Realm" key, else the root
+    let player = block.player;
+    if (typeof player !== 'string' && key.includes('-')) player = key;
+    if (typeof player !== 'string') player = root.player;
+    if (typeof player === 'string') {
+        const parts = player.split('-');
         data.playerName = parts[0] || 'Unknown';
         data.realmName = parts.slice(1).join('-') || 'TauriWoW';
+    } else {
+        data.playerName = 'Unknown';
+        data.realmName = 'TauriWoW';
     }
 
-    // Parse export date
-    const dateMatch = content.match(/\["exportDate"\]\s*=\s*"([^"]+)"/);
-    if (dateMatch) data.exportDate = dateMatch[1];
-
-    // Parse pet counts
-    const totalMatch = content.match(/\["totalPets"\]\s*=\s*(\d+)/);
-    const maxMatch = content.match(/\["maxPets"\]\s*=\s*(\d+)/);
-    if (totalMatch) data.ownedPets = parseInt(totalMatch[1]);
-    if (maxMatch) data.totalPets = parseInt(maxMatch[1]);
-
-    // Parse pets section
-    const petsSection = content.match(/\["pets"\]\s*=\s*\{([\s\S]*?)\},\s*\["player"\]/);
-
-    if (!petsSection) {
-        const altPetsSection = content.match(/\["pets"\]\s*=\s*\{([\s\S]+)\}\s*,?\s*\}/);
-        if (altPetsSection) parsePetsFromSection(altPetsSection[1], data);
-    } else {
-        parsePetsFromSection(petsSection[1], data);
+    // Parse export date and pet counts
+    const field = (name) => block[name] !== undefined ? block[name] : root[name];
+    if (typeof field('exportDate') === 'string') data.exportDate = field('exportDate');
+    if (typeof field('totalPets') === 'number') data.ownedPets = field('totalPets');
+    if (typeof field('maxPets') === 'number') data.totalPets = field('maxPets');
+    if (typeof field('claimToken') === 'string') data.claimToken = field('claimToken');
+
+    // Parse pets
+    const rawPets = Array.isArray(block.pets) ? block.pets : Object.values(block.pets);
+    for (const raw of rawPets) {
+        const pet = normalizeLuaPet(raw);
+        if (pet) data.pets.push(pet);
     }
 
     if (!data.ownedPets) data.ownedPets = data.pets.length;
@@ -103,40 +352,113 @@ function parseLuaFile(content) {
 }
 
 /**
- * Parse pets from a Lua table section
+ * Normalize a parsed Lua pet table into the app's pet shape
  */
-function parsePetsFromSection(petsContent, data) {
-    const petBlocks = petsContent.split(/\},\s*--\s*\[\d+\]/);
+function normalizeLuaPet(raw) {
+    if (!raw || typeof raw !== 'object' || raw.speciesID === undefined) return null;
 
-    for (const block of petBlocks) {
-        if (!block.trim() || !block.includes('speciesID')) continue;
+    const pet = {};
 
-        const pet = {};
+    // String fields
+    ['name', 'speciesName', 'customName', 'quality', 'family', 'petID', 'breed'].forEach(field => {
+        if (typeof raw[field] === 'string') pet[field] = raw[field];
+    });
 
-        // Parse string fields
-        ['name', 'speciesName', 'customName', 'quality', 'family', 'petID', 'breed'].forEach(field => {
-            const match = block.match(new RegExp('\\["' + field + '"\\]\\s*=\\s*"([^"]*)"'));
-            if (match) pet[field] = match[1];
-        });
+    // Number fields
+    ['speciesID', 'familyID', 'level', 'qualityID', 'health', 'power', 'speed', 'petType'].forEach(field => {
+        if (typeof raw[field] === 'number') pet[field] = Math.trunc(raw[field]);
+    });
 
-        // Parse number fields
-        ['speciesID', 'familyID', 'level', 'qualityID', 'health', 'power', 'speed', 'petType'].forEach(field => {
-            const match = block.match(new RegExp('\\["' + field + '"\\]\\s*=\\s*(-?\\d+)'));
-            if (match) pet[field] = parseInt(match[1]);
-        });
+    // Boolean fields
+    ['favorite', 'canBattle', 'isTradeable', 'isUnique'].forEach(field => {
+        if (typeof raw[field] === 'boolean') pet[field] = raw[field];
+    });
 
-        // Parse boolean fields
-        ['favorite', 'canBattle', 'isTradeable', 'isUnique'].forEach(field => {
-            const match = block.match(new RegExp('\\["' + field + '"\\]\\s*=\\s*(true|false)'));
-            if (match) pet[field] = match[1] === 'true';
+    // Normalize field names
+    if (!pet.speciesName && pet.name) pet.speciesName = pet.name;
+    if (!pet.petType && pet.familyID) pet.petType = pet.familyID;
+    if (pet.qualityID !== undefined) pet.quality = pet.qualityID;
+
+    return (pet.speciesName || pet.name) ? pet : null;
+}
+
+/**
+ * Make a parsed collection the active one and refresh the views
+ */
+function setActiveCollection(data) {
+    playerData = data;
+
+    ownedSpeciesIDs.clear();
+    if (playerData.pets) {
+        playerData.pets.forEach(pet => {
+            if (pet.speciesID) ownedSpeciesIDs.add(pet.speciesID);
         });
+    }
+
+    // Remember which collection to restore on the next visit
+    localStorage.setItem('tauripets_active_collection', collectionKey(playerData));
+
+    displayMyCollection();
+    renderAllPets();
+    renderProfileSwitcher();
+    renderHistory();
+}
+
+/**
+ * Unload the active collection and reset the views
+ */
+function clearActiveCollection() {
+    playerData = null;
+    currentScoreData = null;
+    characterProfiles = [];
+    ownedSpeciesIDs.clear();
+
+    resetMyCollectionView();
+    renderAllPets();
+    renderProfileSwitcher();
+    renderPersonalBest();
+    renderHistory();
+}
 
-        // Normalize field names
-        if (!pet.speciesName && pet.name) pet.speciesName = pet.name;
-        if (!pet.petType && pet.familyID) pet.petType = pet.familyID;
-        if (pet.qualityID !== undefined) pet.quality = pet.qualityID;
+/**
+ * Merge newly loaded profiles into the known ones, replacing same characters
+ */
+function mergeProfiles(existing, incoming) {
+    const incomingKeys = new Set(incoming.map(collectionKey));
+    return existing.filter(p => !incomingKeys.has(collectionKey(p))).concat(incoming);
+}
 
-        if (pet.speciesName || pet.name) data.pets.push(pet);
+/**
+ * Load parsed characters, asking which one to use when there are several.
+ * onLoaded runs once the active collection has been set.
+ */
+function loadCharacters(characters, onLoaded) {
+    const activate = (profiles) => {
+        characterProfiles = mergeProfiles(characterProfiles, profiles);
+        profiles.forEach(saveStoredCollection);
+        setActiveCollection(profiles[0]);
+        Promise.all(profiles.map(recordSnapshot)).then(renderHistory);
+        if (onLoaded) onLoaded();
+    };
+
+    if (characters.length === 1) {
+        activate(characters);
+        return;
+    }
+
+    showCharacterPicker(characters, (index) => {
+        if (index === 'all') activate(characters);
+        else activate([characters[index]]);
+    });
+}
+
+/**
+ * Save the active collection to Supabase
+ */
+function saveActiveCollection() {
+    if (playerData.playerName && playerData.pets.length > 0) {
+        const score = currentScoreData ? currentScoreData.total : 0;
+        saveCollectionToSupabase(playerData.playerName, playerData.realmName, playerData.pets, score);
     }
 }
 
@@ -148,17 +470,7 @@ function processFile(file) {
 
     reader.onload = (e) => {
         try {
-            playerData = parseLuaFile(e.target.result);
-
-            ownedSpeciesIDs.clear();
-            if (playerData.pets) {
-                playerData.pets.forEach(pet => {
-                    if (pet.speciesID) ownedSpeciesIDs.add(pet.speciesID);
-                });
-            }
-
-            displayMyCollection();
-            renderAllPets();
+            loadCharacters(parseLuaCharacters(e.target.result));
         } catch (err) {
             alert('Error parsing file: ' + err.message);
         }
@@ -170,7 +482,7 @@ function processFile(file) {
 /**
  * Process pasted data
  */
-function processPastedData() {
+async function processPastedData() {
     const text = document.getElementById('pasteInput').value.trim();
 
     if (!text) {
@@ -179,29 +491,16 @@ function processPastedData() {
     }
 
     try {
+        let characters;
         if (text.startsWith('TAURIPETS:')) {
-            playerData = parseCopyFormat(text);
+            characters = [await parseCopyFormat(text)];
         } else if (text.includes('TauriPetsDB') || text.includes('TauriPetsGUI_Export')) {
-            playerData = parseLuaFile(text);
+            characters = parseLuaCharacters(text);
         } else {
             throw new Error('Unrecognized format.');
         }
 
-        ownedSpeciesIDs.clear();
-        if (playerData.pets) {
-            playerData.pets.forEach(pet => {
-                if (pet.speciesID) ownedSpeciesIDs.add(pet.speciesID);
-            });
-        }
-
-        displayMyCollection();
-        renderAllPets();
-
-        // Save to Supabase
-        if (playerData.playerName && playerData.pets.length > 0) {
-            const score = currentScoreData ? currentScoreData.total : 0;
-            saveCollectionToSupabase(playerData.playerName, playerData.realmName, playerData.pets, score);
-        }
+        loadCharacters(characters, saveActiveCollection);
 
         document.getElementById('pasteInput').value = '';
     } catch (err) {
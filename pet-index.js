@@ -0,0 +1,117 @@
+// =====================================================
+// TauriPets - Pet Database Indexes & Queries
+// =====================================================
+
+/**
+ * Split a comma-joined list (zones, vendor names) into its entries
+ */
+function splitCommaList(value) {
+    return (value || '').split(',').map(z => z.trim()).filter(z => z);
+}
+
+/**
+ * Add a pet to the list kept under key in an index map
+ */
+function addToIndex(index, key, pet) {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(pet);
+}
+
+/**
+ * Build the lookup maps for a pet database. Every list keeps the database order.
+ */
+function buildPetIndex(database) {
+    const index = {
+        bySpecies: new Map(),
+        byZone: new Map(),
+        byFamily: new Map(),
+        bySource: new Map(),
+        zonesOf: new Map(),
+        searchNames: new Map(),
+        zoneNames: []
+    };
+
+    database.forEach(pet => {
+        // A pet found in several zones lists them comma-joined ("Wetlands, Badlands")
+        const zones = splitCommaList(pet.zone);
+
+        index.bySpecies.set(pet.speciesID, pet);
+        index.zonesOf.set(pet.speciesID, zones);
+        index.searchNames.set(pet.speciesID, pet.name.toLowerCase());
+        zones.forEach(zone => addToIndex(index.byZone, zone, pet));
+        addToIndex(index.byFamily, pet.family, pet);
+        addToIndex(index.bySource, pet.source, pet);
+    });
+
+    index.zoneNames = [...index.byZone.keys()].sort((a, b) => a.localeCompare(b));
+    return index;
+}
+
+// Built once at load time; the database never changes while the page is open
+const PET_INDEX = buildPetIndex(ALL_PETS_DATABASE);
+
+/**
+ * Database entry for a species, or null. Accepts numeric strings (object keys).
+ */
+function getDatabasePet(speciesID) {
+    return PET_INDEX.bySpecies.get(Number(speciesID)) || null;
+}
+
+/**
+ * The individual zones a database pet is found in
+ */
+function getPetZones(pet) {
+    return PET_INDEX.zonesOf.get(pet.speciesID) || [];
+}
+
+/**
+ * Every zone in the database, sorted by name
+ */
+function getDatabaseZones() {
+    return PET_INDEX.zoneNames;
+}
+
+/**
+ * Database pets found in a zone
+ */
+function getPetsInZone(zone) {
+    return PET_INDEX.byZone.get(zone) || [];
+}
+
+/**
+ * Database pets of a family id
+ */
+function getPetsByFamily(family) {
+    return PET_INDEX.byFamily.get(Number(family)) || [];
+}
+
+/**
+ * Database pets with a source type (vendor, wild, drop...)
+ */
+function getPetsBySource(source) {
+    return PET_INDEX.bySource.get(source) || [];
+}
+
+/**
+ * Query the database. Starts from the smallest index that applies instead of
+ * scanning every pet, and returns matches in database order.
+ * query: { search, zone, family, source, where } (all optional; where is a pet => boolean predicate)
+ */
+function queryPets(query) {
+    const { search, zone, family, source, where } = query || {};
+
+    const candidates = [ALL_PETS_DATABASE];
+    if (zone) candidates.push(getPetsInZone(zone));
+    if (family) candidates.push(getPetsByFamily(family));
+    if (source) candidates.push(getPetsBySource(source));
+    const pets = candidates.reduce((a, b) => (b.length < a.length ? b : a));
+
+    const needle = (search || '').toLowerCase();
+    return pets.filter(pet =>
+        (!needle || PET_INDEX.searchNames.get(pet.speciesID).includes(needle)) &&
+        (!zone || getPetZones(pet).includes(zone)) &&
+        (!family || pet.family === Number(family)) &&
+        (!source || pet.source === source) &&
+        (!where || where(pet))
+    );
+}
@@ -0,0 +1,193 @@
+// =====================================================
+// TauriPets - Player Profiles (#/player/Name-Realm)
+// =====================================================
+
+const PROFILE_ROUTE = '#/player/';
+
+// The profile on screen: { player, realm, pets }
+let profileData = null;
+
+/**
+ * Hash route of a player's profile.
+ * Character names can't contain '-', so the first one separates name and realm.
+ */
+function profileHash(playerName, realmName) {
+    return PROFILE_ROUTE + encodeURIComponent(playerName) + '-' + encodeURIComponent(realmName);
+}
+
+/**
+ * Parse a profile route. Returns { player, realm } or null for any other hash.
+ */
+function parseProfileHash(hash) {
+    if (!hash || !hash.startsWith(PROFILE_ROUTE)) return null;
+
+    const route = hash.slice(PROFILE_ROUTE.length);
+    const split = route.indexOf('-');
+    if (split <= 0 || split === route.length - 1) return null;
+
+    try {
+        return { player: decodeURIComponent(route.slice(0, split)), realm: decodeURIComponent(route.slice(split + 1)) };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Full link to a player's profile, for sharing
+ */
+function profileUrl(playerName, realmName) {
+    return location.origin + location.pathname + location.search + profileHash(playerName, realmName);
+}
+
+/**
+ * Copy the open profile's link to the clipboard
+ */
+async function copyProfileLink() {
+    if (!profileData) return;
+
+    try {
+        await navigator.clipboard.writeText(profileUrl(profileData.player, profileData.realm));
+        document.getElementById('copyFeedback').textContent = '✓ Profile link copied!';
+        showCopyFeedback();
+    } catch (err) {
+        alert('Could not copy link: ' + err.message);
+    }
+}
+
+/**
+ * Show species owned against the database total for every pet family
+ */
+function renderProfileFamilies(pets) {
+    const owned = countSpeciesByFamily(pets);
+    const totals = databaseSpeciesByFamily();
+
+    return Object.keys(families).filter(id => totals[id]).map(id => {
+        const count = owned[id] || 0;
+        const percent = count / totals[id] * 100;
+        return '<div class="profile-family" title="' + percent.toFixed(1) + '% of ' + families[id].name + ' species">' +
+            '<span class="profile-family-name">' + families[id].icon + ' ' + families[id].name + '</span>' +
+            '<div class="profile-family-bar"><div class="profile-family-fill" style="width:' + percent.toFixed(1) + '%"></div></div>' +
+            '<span class="profile-family-count">' + count + ' / ' + totals[id] + '</span>' +
+            '</div>';
+    }).join('');
+}
+
+/**
+ * Every achievement of the current rules, locked ones dimmed
+ */
+function renderProfileAchievements(scoreData) {
+    const unlocked = new Set(scoreData.unlockedAchievements.map(ach => ach.id));
+    return getScoringRules().achievements.map(ach =>
+        '<div class="achievement' + (unlocked.has(ach.id) ? '' : ' locked') + '" title="' + escapeHtml(ach.desc + ': +' + ach.bonus) + '">' + escapeHtml(ach.name) + '</div>'
+    ).join('');
+}
+
+/**
+ * Chart a player's leaderboard submissions.
+ * Scores only chart from the latest rule set, since older scores aren't comparable.
+ */
+function renderProfileHistory(history) {
+    if (history.length === 0) {
+        return '<p class="history-none">No leaderboard submissions yet.</p>';
+    }
+
+    const rulesVersion = history[history.length - 1].rules_version;
+    const series = (rows, key) => rows.map(row => ({ timestamp: new Date(row.submitted_at).getTime(), value: row[key] }));
+
+    return renderLineChart('Score (rules v' + rulesVersion + ')', series(history.filter(row => row.rules_version === rulesVersion), 'score'), '#ffd700') +
+        renderLineChart('Unique Pets', series(history, 'pets'), '#00ff88') +
+        renderLineChart('Level 25 Pets', series(history, 'level25'), '#00ccff');
+}
+
+/**
+ * Render the profile's pet grid through its copy of the My Collection filters
+ */
+function renderProfilePets() {
+    const pets = profileData ? filterCollectionPets(profileData.pets, 'profile') : [];
+
+    document.getElementById('profilePetCount').textContent = 'Showing ' + pets.length + ' pets';
+    document.getElementById('profileNoResults').style.display = pets.length === 0 ? 'block' : 'none';
+    renderVirtualGrid('profilePetGrid', pets, renderPetCard);
+}
+
+/**
+ * Load and render a player's profile
+ */
+async function openPlayerProfile(playerName, realmName) {
+    const empty = document.getElementById('profileEmpty');
+    const content = document.getElementById('profileContent');
+
+    profileData = null;
+    content.style.display = 'none';
+    empty.style.display = 'block';
+
+    if (!navigator.onLine) {
+        empty.innerHTML = '<p>📡 You are offline - profiles load when you reconnect.</p>';
+        return;
+    }
+
+    // Names come straight from the URL, so they're escaped before going into markup
+    const name = escapeHtml(playerName + '-' + realmName);
+    empty.innerHTML = '<p>Loading ' + name + '...</p>';
+    const profile = await fetchPlayerProfile(playerName, realmName);
+
+    // Another profile may have been opened while this one loaded
+    const route = parseProfileHash(location.hash);
+    if (!route || route.player !== playerName || route.realm !== realmName) return;
+
+    const collection = profile.collection;
+    if (!collection || !collection.pets || collection.pets.length === 0) {
+        empty.innerHTML = '<p style="color:#ff6b6b;">❌ ' + name + ' not found</p>' +
+            '<p>This player hasn\'t uploaded their collection yet.</p>';
+        return;
+    }
+
+    const pets = collection.pets;
+    const scoreData = calculateScore(pets);
+    const stats = scoreData.stats;
+    const instances = scoreData.collectionStats.instances;
+    profileData = { player: playerName, realm: realmName, pets };
+
+    document.getElementById('profileName').textContent = '👤 ' + playerName + ' - ' + realmName;
+    document.getElementById('profileMeta').textContent =
+        (profile.entry ? 'Rank #' + profile.entry.rank + ' on the leaderboard · ' : 'Not on the leaderboard · ') +
+        'Last updated: ' + (collection.updated_at ? new Date(collection.updated_at).toLocaleDateString() : 'Unknown');
+    document.getElementById('profileCompareBtn').style.display = ownedSpeciesIDs.size > 0 ? '' : 'none';
+
+    document.getElementById('profileScore').textContent = scoreData.total.toLocaleString();
+    document.getElementById('profileScoreQuality').textContent = scoreData.qualityScore.toLocaleString();
+    document.getElementById('profileScoreLevels').textContent = scoreData.levelScore.toLocaleString();
+    document.getElementById('profileScoreBonuses').textContent = '+' + scoreData.bonusScore.toLocaleString();
+
+    document.getElementById('profileTotalPets').textContent = instances.count;
+    document.getElementById('profileUniquePets').textContent = stats.uniqueCount;
+    document.getElementById('profileLevel25Pets').textContent = stats.level25Count;
+    document.getElementById('profileRarePets').textContent = stats.rareCount;
+    document.getElementById('profileEpicPets').textContent = stats.epicCount;
+    document.getElementById('profileFamilyCount').textContent = stats.familyCount;
+    setInstanceCountTitle('profileLevel25Pets', instances.level25Count);
+    setInstanceCountTitle('profileRarePets', instances.rareCount);
+    setInstanceCountTitle('profileEpicPets', instances.epicCount);
+
+    document.getElementById('profileFamilies').innerHTML = renderProfileFamilies(pets);
+    document.getElementById('profileAchievements').innerHTML = renderProfileAchievements(scoreData);
+    document.getElementById('profileHistory').innerHTML = renderProfileHistory(profile.history);
+
+    empty.style.display = 'none';
+    content.style.display = 'block';
+    renderProfilePets();
+}
+
+/**
+ * Compare the open profile with the loaded collection
+ */
+function compareProfile() {
+    if (profileData) viewPlayerCollection(profileData.player, profileData.realm);
+}
+
+/**
+ * Setup the profile page's filters
+ */
+function setupProfileFilters() {
+    setupCollectionFilters('profile', renderProfilePets);
+}
@@ -0,0 +1,50 @@
+// =====================================================
+// TauriPets - Scoring Rule Sets (shared with the submit-score function)
+// =====================================================
+
+// Each version is frozen once released - change scoring by adding a new version
+// and pointing CURRENT_RULES_VERSION at it, so old leaderboard scores stay comparable.
+// Achievements are data (stat + threshold) so any rule set can be evaluated anywhere.
+const SCORING_RULE_SETS = {
+    1: {
+        version: 1,
+        name: 'Original',
+        qualityPoints: {
+            0: 2,   // Poor
+            1: 3,   // Common
+            2: 4,   // Uncommon
+            3: 5,   // Rare
+            4: 7,   // Epic
+            5: 12   // Legendary
+        },
+        defaultQualityPoints: 2,
+        levelCurve: { type: 'linear', perLevel: 0.12 },
+        // Count every pet instance towards level 25 / rare / epic achievements (duplicates included)
+        achievementCounting: 'instance',
+        achievements: [
+            { id: 'collect50', name: '📦 Collector', desc: '50+ unique pets', stat: 'uniqueCount', threshold: 50, bonus: 100 },
+            { id: 'collect100', name: '📦 Dedicated', desc: '100+ unique pets', stat: 'uniqueCount', threshold: 100, bonus: 150 },
+            { id: 'collect250', name: '📦 Obsessed', desc: '250+ unique pets', stat: 'uniqueCount', threshold: 250, bonus: 250 },
+            { id: 'collect500', name: '📦 Insane', desc: '500+ unique pets', stat: 'uniqueCount', threshold: 500, bonus: 500 },
+            { id: 'train10', name: '⭐ Trainer', desc: '10+ level 25 pets', stat: 'level25Count', threshold: 10, bonus: 200 },
+            { id: 'train25', name: '⭐ Pro Trainer', desc: '25+ level 25 pets', stat: 'level25Count', threshold: 25, bonus: 300 },
+            { id: 'train50', name: '⭐ Elite Trainer', desc: '50+ level 25 pets', stat: 'level25Count', threshold: 50, bonus: 500 },
+            { id: 'families', name: '🌍 Zoologist', desc: 'All 10 families', stat: 'familyCount', threshold: 10, bonus: 100 },
+            { id: 'rare25', name: '💎 Quality Hunter', desc: '25+ rare or better', stat: 'rareCount', threshold: 25, bonus: 150 },
+            { id: 'epic10', name: '💜 Epic Collector', desc: '10+ epic or better', stat: 'epicCount', threshold: 10, bonus: 200 }
+        ]
+    }
+};
+
+// v2: same tables, but duplicates of a species no longer count twice towards achievements
+SCORING_RULE_SETS[2] = Object.assign({}, SCORING_RULE_SETS[1], {
+    version: 2,
+    name: 'Species counting',
+    achievementCounting: 'species'
+});
+
+const CURRENT_RULES_VERSION = 2;
+
+// Current rule set's tables, for code that only needs today's rules
+const QUALITY_POINTS = SCORING_RULE_SETS[CURRENT_RULES_VERSION].qualityPoints;
+const ACHIEVEMENTS = SCORING_RULE_SETS[CURRENT_RULES_VERSION].achievements;
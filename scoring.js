@@ -3,23 +3,74 @@
 // =====================================================
 
 /**
- * Load personal best from localStorage
+ * Load all per-character personal bests from localStorage.
+ * Migrates the old single-entry 'tauripets_personal_best' record on first use.
  */
-function loadPersonalBest() {
+function loadPersonalBests() {
     try {
-        const s = localStorage.getItem('tauripets_personal_best');
-        return s ? JSON.parse(s) : null;
+        const s = localStorage.getItem('tauripets_personal_bests');
+        if (s) return JSON.parse(s);
+
+        const store = { characters: {}, selected: null };
+        const legacy = localStorage.getItem('tauripets_personal_best');
+        if (legacy) {
+            const old = JSON.parse(legacy);
+            const key = old.player + '-' + old.realm;
+            store.characters[key] = Object.assign({}, old, {
+                previousBestScore: null,
+                lastScore: old.score,
+                lastDate: old.date,
+                lastTimestamp: old.timestamp
+            });
+            store.selected = key;
+        }
+        return store;
     } catch (e) {
-        return null;
+        return { characters: {}, selected: null };
     }
 }
 
 /**
- * Save personal best to localStorage
+ * Save all per-character personal bests
+ */
+function savePersonalBests(store) {
+    localStorage.setItem('tauripets_personal_bests', JSON.stringify(store));
+}
+
+/**
+ * Load the personal best record of the selected character
+ */
+function loadPersonalBest() {
+    const store = loadPersonalBests();
+    return store.selected ? store.characters[store.selected] || null : null;
+}
+
+/**
+ * Select which character's personal best the card shows
+ */
+function selectPersonalBest(key) {
+    const store = loadPersonalBests();
+    if (!store.characters[key]) return;
+    store.selected = key;
+    savePersonalBests(store);
+}
+
+/**
+ * Record a loaded score against the character's personal best.
+ * The best is only replaced when the new score is strictly higher.
  */
 function savePersonalBest(scoreData, playerName, realmName) {
     try {
-        const newEntry = {
+        const store = loadPersonalBests();
+        const key = playerName + '-' + realmName;
+        const previous = store.characters[key] || null;
+        const now = Date.now();
+        const today = new Date(now).toISOString().split('T')[0];
+
+        // A best scored under older rules isn't comparable, so the new score replaces it
+        const isNewBest = !previous || (previous.rulesVersion || 1) !== scoreData.rulesVersion || scoreData.total > previous.score;
+
+        const entry = isNewBest ? {
             player: playerName,
             realm: realmName,
             score: scoreData.total,
@@ -27,86 +78,204 @@ function savePersonalBest(scoreData, playerName, realmName) {
             level25: scoreData.stats.level25Count,
             rare: scoreData.stats.rareCount,
             epic: scoreData.stats.epicCount,
-            date: new Date().toISOString().split('T')[0],
-            timestamp: Date.now()
-        };
+            rulesVersion: scoreData.rulesVersion,
+            date: today,
+            timestamp: now,
+            previousBestScore: previous ? previous.score : null
+        } : Object.assign({}, previous);
+
+        entry.lastScore = scoreData.total;
+        entry.lastDate = today;
+        entry.lastTimestamp = now;
+
+        store.characters[key] = entry;
+        store.selected = key;
+        savePersonalBests(store);
 
-        // Always save the current character (not just if it's a higher score)
-        localStorage.setItem('tauripets_personal_best', JSON.stringify(newEntry));
-        return { saved: true, isNewBest: true, entry: newEntry };
+        return {
+            saved: true,
+            isNewBest,
+            delta: previous ? scoreData.total - previous.score : 0,
+            entry
+        };
     } catch (e) {
-        return { saved: false, isNewBest: false, entry: null };
+        return { saved: false, isNewBest: false, delta: 0, entry: null };
     }
 }
 
 /**
- * Calculate score from pets array
+ * Get a scoring rule set by version (defaults to the current one)
  */
-function calculateScore(pets) {
-    if (!pets || pets.length === 0) return null;
+function getScoringRules(version) {
+    return SCORING_RULE_SETS[version || CURRENT_RULES_VERSION] || null;
+}
 
-    const uniquePets = {};
-    let level25Count = 0;
-    const familiesOwned = new Set();
-    let rareCount = 0, epicCount = 0;
-
-    for (const pet of pets) {
-        const speciesID = pet.speciesID;
-        const quality = typeof pet.quality === 'number' ? pet.quality : (pet.qualityID || 0);
-        const level = pet.level || 1;
-        const family = pet.petType || pet.familyID || 0;
-
-        // Keep best version of each species
-        if (!uniquePets[speciesID] ||
-            quality > uniquePets[speciesID].quality ||
-            (quality === uniquePets[speciesID].quality && level > uniquePets[speciesID].level)) {
-            uniquePets[speciesID] = { quality, level, family };
-        }
+/**
+ * Points a single pet earns for its level under a rule set's level curve
+ */
+function levelPoints(level, curve) {
+    if (curve.type === 'table') return curve.points[level] || 0;
+    return level * curve.perLevel;
+}
 
-        if (level === 25) level25Count++;
-        if (family) familiesOwned.add(family);
-        if (quality >= 3) rareCount++;
-        if (quality >= 4) epicCount++;
-    }
+/**
+ * Points as a whole number of hundredths. Scores are summed in hundredths so fractional
+ * level points add up exactly, whatever order the species come in.
+ */
+function hundredths(points) {
+    return Math.round(points * 100);
+}
+
+/**
+ * Check whether an achievement's threshold is met by a stats object
+ */
+function isAchievementUnlocked(ach, stats) {
+    return (stats[ach.stat] || 0) >= ach.threshold;
+}
+
+/**
+ * Calculate score from pets array under a rule set (defaults to the current one)
+ */
+function calculateScore(pets, rules) {
+    if (!pets || pets.length === 0) return null;
+    rules = rules || getScoringRules();
 
-    // Calculate quality and level scores
-    let qualityScore = 0, levelScore = 0, totalLevels = 0;
+    const collectionStats = computeCollectionStats(pets);
 
-    for (const speciesID in uniquePets) {
-        const pet = uniquePets[speciesID];
-        qualityScore += QUALITY_POINTS[pet.quality] || 2;
-        levelScore += pet.level * 0.12;
-        totalLevels += pet.level;
+    // Quality and level points come from the best copy of each species, in hundredths
+    let qualityScore = 0, levelScore = 0;
+
+    for (const best of collectionStats.best.values()) {
+        qualityScore += hundredths(rules.qualityPoints[best.quality] || rules.defaultQualityPoints);
+        levelScore += hundredths(levelPoints(best.level, rules.levelCurve));
     }
 
-    // Build stats object
-    const stats = {
-        uniqueCount: Object.keys(uniquePets).length,
-        level25Count,
-        familyCount: familiesOwned.size,
-        rareCount,
-        epicCount,
-        totalLevels
-    };
+    // The rule set decides whether duplicates count towards achievements
+    const stats = achievementStats(collectionStats, rules.achievementCounting);
 
     // Calculate achievement bonuses
     let bonusScore = 0;
     const unlockedAchievements = [];
 
-    for (const ach of ACHIEVEMENTS) {
-        if (ach.check(stats)) {
+    for (const ach of rules.achievements) {
+        if (isAchievementUnlocked(ach, stats)) {
             bonusScore += ach.bonus;
             unlockedAchievements.push(ach);
         }
     }
 
     return {
-        total: Math.floor(qualityScore + levelScore + bonusScore),
-        qualityScore: Math.floor(qualityScore),
-        levelScore: Math.floor(levelScore),
+        total: Math.floor((qualityScore + levelScore + hundredths(bonusScore)) / 100),
+        qualityScore: Math.floor(qualityScore / 100),
+        levelScore: Math.floor(levelScore / 100),
         bonusScore,
         stats,
-        unlockedAchievements
+        collectionStats,
+        unlockedAchievements,
+        rulesVersion: rules.version
+    };
+}
+
+// How many suggested actions the breakdown lists
+const BREAKDOWN_ACTION_LIMIT = 10;
+
+/**
+ * Achievement bonus a change would add: the bonuses of locked achievements whose
+ * threshold the stats cross once delta ({ stat: change }) is applied
+ */
+function achievementGain(rules, stats, delta) {
+    let gain = 0;
+    for (const ach of rules.achievements) {
+        const change = delta[ach.stat] || 0;
+        if (change > 0 && !isAchievementUnlocked(ach, stats) && (stats[ach.stat] || 0) + change >= ach.threshold) {
+            gain += ach.bonus;
+        }
+    }
+    return gain;
+}
+
+/**
+ * Explain a score: points per species, progress towards each achievement
+ * and the single actions that would add the most points.
+ */
+function buildScoreBreakdown(pets, rules) {
+    rules = rules || getScoringRules();
+    const base = calculateScore(pets, rules);
+    if (!base) return null;
+
+    const scoring = base.collectionStats.best;
+
+    const species = [...scoring.entries()].map(([speciesID, best]) => {
+        const qualityPts = rules.qualityPoints[best.quality] || rules.defaultQualityPoints;
+        const levelPts = levelPoints(best.level, rules.levelCurve);
+        return {
+            speciesID,
+            name: best.pet.speciesName || best.pet.name || (getDatabasePet(speciesID) || {}).name || 'Species #' + speciesID,
+            quality: best.quality,
+            level: best.level,
+            qualityPoints: qualityPts,
+            levelPoints: levelPts,
+            total: qualityPts + levelPts
+        };
+    }).sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+    const achievements = rules.achievements.map(ach => {
+        const current = base.stats[ach.stat] || 0;
+        return {
+            achievement: ach,
+            current,
+            threshold: ach.threshold,
+            unlocked: current >= ach.threshold,
+            remaining: Math.max(0, ach.threshold - current)
+        };
+    });
+
+    // Each single change only moves its own species' points and one or two stats, so its gain is
+    // worked out from those deltas instead of rescoring the collection. The total is floored,
+    // so gains are measured against the unrounded score, in hundredths like calculateScore.
+    let rawTotal = hundredths(base.bonusScore);
+    for (const best of scoring.values()) {
+        rawTotal += hundredths(rules.qualityPoints[best.quality] || rules.defaultQualityPoints) + hundredths(levelPoints(best.level, rules.levelCurve));
+    }
+    const gainOf = (points, statsDelta) =>
+        Math.floor((rawTotal + hundredths(points) + hundredths(achievementGain(rules, base.stats, statsDelta))) / 100) - Math.floor(rawTotal / 100);
+
+    // Upgrading or levelling the counted copy also moves that instance's counts, so the
+    // rare / level 25 stats go up by one whichever way the rule set counts achievements
+    const actions = [];
+    for (const entry of species) {
+        const best = scoring.get(entry.speciesID);
+        if (best.quality < 3) {
+            actions.push({
+                type: 'upgrade',
+                speciesID: entry.speciesID,
+                name: entry.name,
+                label: 'Upgrade ' + entry.name + ' from ' + qualities[best.quality] + ' to Rare',
+                gain: gainOf((rules.qualityPoints[3] || rules.defaultQualityPoints) - entry.qualityPoints, { rareCount: 1 })
+            });
+        }
+        if (best.level < 25) {
+            actions.push({
+                type: 'level',
+                speciesID: entry.speciesID,
+                name: entry.name,
+                label: 'Level ' + entry.name + ' from ' + best.level + ' to 25',
+                gain: gainOf(levelPoints(25, rules.levelCurve) - entry.levelPoints, { level25Count: 1, totalLevels: 25 - best.level })
+            });
+        }
+    }
+
+    // A brand new level 1 poor pet is the floor for catching anything new
+    const newSpecies = gainOf((rules.qualityPoints[0] || rules.defaultQualityPoints) + levelPoints(1, rules.levelCurve), { uniqueCount: 1, totalLevels: 1 });
+    actions.push({ type: 'collect', name: '', label: 'Collect any new species', gain: newSpecies });
+
+    actions.sort((a, b) => b.gain - a.gain || a.label.localeCompare(b.label));
+
+    return {
+        score: base,
+        species,
+        achievements,
+        actions: actions.filter(a => a.gain > 0).slice(0, BREAKDOWN_ACTION_LIMIT)
     };
 }
 
@@ -128,11 +297,13 @@ function displayScore(scoreData) {
     if (scoreData.unlockedAchievements.length > 0) {
         document.getElementById('achievementsSection').classList.add('visible');
         document.getElementById('achievementList').innerHTML = scoreData.unlockedAchievements
-            .map(ach => '<div class="achievement" title="' + ach.desc + ': +' + ach.bonus + '">' + ach.name + '</div>')
+            .map(ach => '<div class="achievement" title="' + escapeHtml(ach.desc + ': +' + ach.bonus) + '">' + escapeHtml(ach.name) + '</div>')
             .join('');
     }
 
-    // Save personal best
-    const result = savePersonalBest(scoreData, playerData.playerName, playerData.realmName);
+    renderScoreBreakdown();
+
+    // Record against this character's personal best
+    savePersonalBest(scoreData, playerData.playerName, playerData.realmName);
     renderPersonalBest();
 }
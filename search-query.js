@@ -0,0 +1,412 @@
+// =====================================================
+// TauriPets - All Pets Search Queries (family:beast zone:"Elwynn Forest" -owned cost<50)
+// =====================================================
+
+// Open-world zones and cities of each continent, for region: queries.
+// Instances, holidays and NPC names from the zone column aren't in any region.
+const ZONE_REGIONS = {
+    'Eastern Kingdoms': [
+        'Arathi Highlands', 'Badlands', 'Blasted Lands', 'Blasted Lands (90+)', 'Booty Bay', 'Burning Steppes',
+        'Deadwind Pass', 'Deeprun Tram', 'Dun Morogh', 'Duskwood', 'Eastern Plaguelands', 'Elwynn Forest',
+        'Eversong Woods', 'Ghostlands', 'Gilneas', 'Gilneas City', 'Hillsbrad Foothills', 'Loch Modan',
+        'Northern Stranglethorn', 'Redridge Mountains', 'Ruins of Gilneas', 'Searing Gorge', 'Silvermoon City',
+        'Silverpine Forest', 'Stormwind', 'Stormwind City', 'Swamp of Sorrows', 'The Cape of Stranglethorn',
+        'The Hinterlands', 'Tirisfal Glades', 'Twilight Highlands', 'Western Plaguelands', 'Westfall', 'Wetlands'
+    ],
+    'Kalimdor': [
+        'Ammen Vale', 'Ashenvale', 'Azshara', 'Azuremyst Isle', 'Bloodmyst Isle', 'Darkshore', 'Darnassus',
+        'Desolace', 'Durotar', 'Dustwallow Marsh', 'Felwood', 'Feralas', 'Molten Front', 'Moonglade',
+        'Mount Hyjal', 'Mulgore', 'Northern Barrens', 'Orgrimmar', 'Silithus', 'Southern Barrens',
+        'Stonetalon Mountains', 'Tanaris', 'Teldrassil', 'The Barrens', 'The Exodar', 'Thousand Needles',
+        'Thunder Bluff', 'Uldum', "Un'goro Crater", "Un'Goro Crater", 'Winterspring'
+    ],
+    'Outland': [
+        "Blade's Edge Mountains", 'Hellfire Peninsula', 'Nagrand', 'Netherstorm', 'Shadowmoon Valley',
+        'Shattrath City', 'Terokkar Forest', 'Zangarmarsh'
+    ],
+    'Northrend': [
+        'Borean Tundra', 'Coldarra', 'Crystalsong Forest', 'Dalaran', 'Dragonblight', 'Grizzly Hills',
+        'Howling Fjord', 'Icecrown', 'Sholazar Basin', 'The Storm Peaks', "Zul'Drak"
+    ],
+    'Pandaria': [
+        'Dread Wastes', 'Isle of Giants', 'Isle Of Giants', 'Isle of Thunder', 'Jade Forest', 'Krasarang Wilds',
+        'Kun-Lai Summit', 'The Jade Forest', 'The Wandering Isle', 'Timeless Isle', 'Townlong Steppes',
+        'Vale of Eternal Blossoms', 'Valley of the Four Winds'
+    ],
+    // Nagrand and Shadowmoon Valley are also Outland zones; the database doesn't always say which
+    'Draenor': [
+        'Frostfire Ridge', 'Frostwall', 'Garrison', 'Gorgrond', 'Lunarfall', 'Nagrand', 'Nagrand (Draenor)',
+        'Shadowmoon Valley', 'Shadowmoon Valley (Draenor)', 'Spires of Arak', 'Talador', 'Tanaan Jungle', 'Warspear'
+    ],
+    'Broken Isles': [
+        'Azsuna', 'Broken Shore', 'Dalaran', 'Dalaran Sewers', 'Helheim', 'Highmountain', 'Stormheim',
+        'Suramar', "Val'sharah", "Val'Sharah"
+    ],
+    'Argus': ['Antoran Wastes', 'Argus', 'Krokuun', "Mac'Aree"]
+};
+
+// Query keys, with the hint the autocomplete shows for each
+const SEARCH_KEYS = {
+    name: 'Name contains',
+    family: 'Pet family',
+    zone: 'Zone',
+    region: 'Continent',
+    source: 'How it is obtained',
+    vendor: 'Sold by',
+    season: 'Wild in season',
+    profession: 'Made by profession',
+    cost: 'Vendor gold: cost<50, cost>=10',
+    is: 'owned, missing, wild or battle',
+    id: 'Species ID'
+};
+
+// Keys compared with < <= > >= = instead of matched by value
+const SEARCH_NUMBER_KEYS = ['cost', 'id'];
+
+// Bare words that are flags rather than name text: "-owned" is the same as "-is:owned"
+const SEARCH_FLAGS = ['owned', 'missing'];
+
+const SEARCH_IS_VALUES = ['owned', 'missing', 'wild', 'battle'];
+
+// Most suggestions the autocomplete lists at once
+const SEARCH_SUGGESTION_LIMIT = 8;
+
+// Open autocomplete: { start, end, items, active }
+let searchSuggestions = null;
+
+/**
+ * Split a query into whitespace separated tokens, keeping quoted text together.
+ * Returns [{ text, start, end }] with the offsets of each token in the query.
+ */
+function tokenizeSearchQuery(query) {
+    const tokens = [];
+    let start = -1;
+    let quoted = false;
+
+    for (let i = 0; i <= query.length; i++) {
+        const ch = query[i];
+        if (i === query.length || (!quoted && /\s/.test(ch))) {
+            if (start !== -1) tokens.push({ text: query.slice(start, i), start, end: i });
+            start = -1;
+            continue;
+        }
+        if (start === -1) start = i;
+        if (ch === '"') quoted = !quoted;
+    }
+    return tokens;
+}
+
+/**
+ * Split a term's value on commas outside quotes and drop the quotes
+ */
+function splitSearchValues(value) {
+    const values = [];
+    let current = '';
+    let quoted = false;
+
+    for (const ch of value) {
+        if (ch === '"') quoted = !quoted;
+        else if (ch === ',' && !quoted) {
+            values.push(current);
+            current = '';
+        } else current += ch;
+    }
+    values.push(current);
+    return values.map(v => v.trim());
+}
+
+/**
+ * Values a key can take, for validation and autocomplete. Null for free-form keys.
+ */
+function searchKeyValues(key) {
+    switch (key) {
+        case 'family': return Object.values(families).map(f => f.name.toLowerCase());
+        case 'zone': return getDatabaseZones();
+        case 'region': return Object.keys(ZONE_REGIONS);
+        case 'source': return Object.keys(sourceLabels);
+        case 'vendor': return getSourceFieldValues('vendors');
+        case 'season': return getSourceFieldValues('season');
+        case 'profession': return getSourceFieldValues('profession');
+        case 'is': return SEARCH_IS_VALUES;
+        default: return null;
+    }
+}
+
+/**
+ * Compare a number with a query operator
+ */
+function compareSearchNumber(value, op, target) {
+    switch (op) {
+        case '<': return value < target;
+        case '<=': return value <= target;
+        case '>': return value > target;
+        case '>=': return value >= target;
+        default: return value === target;
+    }
+}
+
+/**
+ * Test for one value of a term. Values are already the database's spelling.
+ */
+function searchValueTest(key, op, value) {
+    switch (key) {
+        case 'name': {
+            const needle = value.toLowerCase();
+            return pet => pet.name.toLowerCase().includes(needle);
+        }
+        case 'family': {
+            const id = Number(Object.keys(families).find(id => families[id].name.toLowerCase() === value));
+            return pet => pet.family === id;
+        }
+        case 'zone': {
+            // The zone column spells some zones two ways ("Isle of Giants", "Isle Of Giants")
+            const zone = value.toLowerCase();
+            return pet => getPetZones(pet).some(z => z.toLowerCase() === zone);
+        }
+        case 'region': {
+            const zones = new Set(ZONE_REGIONS[value]);
+            return pet => getPetZones(pet).some(zone => zones.has(zone));
+        }
+        case 'source': return pet => pet.source === value;
+        case 'vendor':
+        case 'season':
+        case 'profession':
+            return pet => petMatchesSourceCriteria(pet, { [key]: value });
+        case 'cost': {
+            const target = parseFloat(value);
+            return pet => getPetSources(pet).some(record =>
+                record.cost && record.cost.currency === 'gold' && compareSearchNumber(record.cost.amount, op, target)
+            );
+        }
+        case 'id': {
+            const target = parseInt(value);
+            return pet => compareSearchNumber(pet.speciesID, op, target);
+        }
+        case 'is':
+            if (value === 'owned') return pet => ownedSpeciesIDs.has(pet.speciesID);
+            if (value === 'missing') return pet => !ownedSpeciesIDs.has(pet.speciesID);
+            if (value === 'wild') return pet => !!pet.isWild;
+            return pet => !!pet.canBattle;
+    }
+}
+
+/**
+ * Parse one token into a term: { test(pet), ownership } or { error }.
+ * ownership terms depend on the loaded collection rather than the database.
+ */
+function parseSearchTerm(text) {
+    const negate = text.length > 1 && text.startsWith('-');
+    const body = negate ? text.slice(1) : text;
+    const match = body.match(/^([a-z]+)(:|<=|>=|<|>|=)(.*)$/i);
+
+    let key, op, values;
+    if (match) {
+        key = match[1].toLowerCase();
+        op = match[2];
+        values = SEARCH_NUMBER_KEYS.includes(key) ? [match[3].replace(/"/g, '').trim()] : splitSearchValues(match[3]);
+    } else if (SEARCH_FLAGS.includes(body.toLowerCase())) {
+        key = 'is';
+        op = ':';
+        values = [body.toLowerCase()];
+    } else {
+        key = 'name';
+        op = ':';
+        values = [body.replace(/"/g, '')];
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(SEARCH_KEYS, key)) return { error: 'Unknown filter "' + key + '"' };
+    if (op !== ':' && !SEARCH_NUMBER_KEYS.includes(key)) return { error: key + ' only takes ' + key + ':value' };
+
+    values = values.filter(v => v);
+    if (values.length === 0) return { error: 'No value for ' + key };
+
+    // Match values case-insensitively, then use the database's spelling
+    const known = searchKeyValues(key);
+    if (known) {
+        for (let i = 0; i < values.length; i++) {
+            const found = known.find(v => v.toLowerCase() === values[i].toLowerCase());
+            if (!found) return { error: 'No ' + key + ' "' + values[i] + '"' };
+            values[i] = found;
+        }
+    }
+    if (SEARCH_NUMBER_KEYS.includes(key) && isNaN(parseFloat(values[0]))) {
+        return { error: key + ' needs a number' };
+    }
+
+    const tests = values.map(value => searchValueTest(key, op, value));
+    const test = pet => tests.some(t => t(pet)) !== negate;
+    return { test, ownership: key === 'is' && values.some(v => v === 'owned' || v === 'missing') };
+}
+
+/**
+ * Compile a search query. Terms are ANDed, comma separated values ORed, and a leading
+ * "-" negates a term. Returns { errors, matchesPet(pet), usesOwnership, matchesOwnership(pet) }.
+ */
+function compileSearchQuery(query) {
+    const errors = [];
+    const database = [];
+    const ownership = [];
+
+    tokenizeSearchQuery(query || '').forEach(token => {
+        const term = parseSearchTerm(token.text);
+        if (term.error) errors.push(term.error);
+        else (term.ownership ? ownership : database).push(term.test);
+    });
+
+    return {
+        errors,
+        matchesPet: pet => database.every(test => test(pet)),
+        usesOwnership: ownership.length > 0,
+        matchesOwnership: pet => ownership.every(test => test(pet))
+    };
+}
+
+/**
+ * Quote a value that can't stand on its own in a query
+ */
+function quoteSearchValue(value) {
+    return /[\s,"]/.test(value) ? '"' + value.replace(/"/g, '') + '"' : value;
+}
+
+/**
+ * Autocomplete for the token under the caret: keys while typing a key,
+ * the database's values after "key:". Returns { start, end, items: [{ text, label, hint }] } or null.
+ */
+function suggestSearchCompletions(query, caret) {
+    const token = tokenizeSearchQuery(query).find(t => t.start <= caret && caret <= t.end) || { text: '', start: caret, end: caret };
+    const negate = token.text.startsWith('-') ? '-' : '';
+    const body = token.text.slice(negate.length);
+    const colon = body.indexOf(':');
+    let items;
+
+    if (colon === -1) {
+        const partial = body.toLowerCase();
+        if (!partial) return null;
+        items = Object.keys(SEARCH_KEYS).filter(key => key.startsWith(partial))
+            .map(key => ({ text: negate + key + ':', label: key + ':', hint: SEARCH_KEYS[key] }))
+            .concat(SEARCH_FLAGS.filter(flag => flag.startsWith(partial) && flag !== partial)
+                .map(flag => ({ text: negate + flag + ' ', label: flag, hint: 'Flag' })));
+    } else {
+        const key = body.slice(0, colon).toLowerCase();
+        const known = searchKeyValues(key);
+        if (!known) return null;
+
+        // Complete the last of a comma separated list, keeping the values before it
+        const raw = body.slice(colon + 1);
+        const lastComma = raw.lastIndexOf(',');
+        const before = lastComma === -1 ? '' : raw.slice(0, lastComma + 1);
+        const partial = raw.slice(lastComma + 1).replace(/"/g, '').toLowerCase();
+        const chosen = splitSearchValues(before).map(v => v.toLowerCase());
+
+        // Values starting with what was typed come before values that only contain it
+        const rank = value => (value.toLowerCase().startsWith(partial) ? 0 : 1);
+        items = known.filter(value => value.toLowerCase().includes(partial) && value.toLowerCase() !== partial && !chosen.includes(value.toLowerCase()))
+            .sort((a, b) => rank(a) - rank(b))
+            .map(value => ({ text: negate + key + ':' + before + quoteSearchValue(value) + ' ', label: value, hint: SEARCH_KEYS[key] }));
+    }
+
+    items = items.slice(0, SEARCH_SUGGESTION_LIMIT);
+    return items.length > 0 ? { start: token.start, end: token.end, items } : null;
+}
+
+/**
+ * Copy a link to the current All Pets search and filters
+ */
+async function copySearchLink() {
+    try {
+        await navigator.clipboard.writeText(location.origin + location.pathname + location.search + urlStateHash('all-pets'));
+        document.getElementById('copyFeedback').textContent = '✓ Search link copied!';
+        showCopyFeedback();
+    } catch (err) {
+        alert('Could not copy link: ' + err.message);
+    }
+}
+
+/**
+ * Show the query's errors under the search box
+ */
+function renderSearchErrors(errors) {
+    const hint = document.getElementById('allSearchErrors');
+    hint.textContent = errors.join(' · ');
+    hint.style.display = errors.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Show the autocomplete list for the search box's caret position
+ */
+function renderSearchSuggestions() {
+    const input = document.getElementById('allSearchInput');
+    const box = document.getElementById('allSearchSuggestions');
+
+    searchSuggestions = document.activeElement === input
+        ? suggestSearchCompletions(input.value, input.selectionStart)
+        : null;
+
+    if (!searchSuggestions) {
+        box.style.display = 'none';
+        return;
+    }
+
+    searchSuggestions.active = 0;
+    box.innerHTML = searchSuggestions.items.map((item, index) =>
+        '<div class="search-suggestion' + (index === 0 ? ' active' : '') + '"' + actionAttrs('search-suggestion', { index }) + '>' +
+        '<span>' + escapeHtml(item.label) + '</span><small>' + escapeHtml(item.hint) + '</small></div>'
+    ).join('');
+    box.style.display = 'block';
+}
+
+/**
+ * Highlight another suggestion with the arrow keys
+ */
+function moveSearchSuggestion(step) {
+    const count = searchSuggestions.items.length;
+    searchSuggestions.active = (searchSuggestions.active + step + count) % count;
+    document.querySelectorAll('#allSearchSuggestions .search-suggestion').forEach((el, index) =>
+        el.classList.toggle('active', index === searchSuggestions.active)
+    );
+}
+
+/**
+ * Put a suggestion into the search box in place of the token it completes
+ */
+function acceptSearchSuggestion(index) {
+    if (!searchSuggestions || !searchSuggestions.items[index]) return;
+
+    const input = document.getElementById('allSearchInput');
+    const { start, end } = searchSuggestions;
+    const text = searchSuggestions.items[index].text;
+
+    input.value = input.value.slice(0, start) + text + input.value.slice(end).replace(/^ /, '');
+    input.focus();
+    input.setSelectionRange(start + text.length, start + text.length);
+    input.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Autocomplete keys and values in the All Pets search box
+ */
+function setupSearchAutocomplete() {
+    const input = document.getElementById('allSearchInput');
+    const box = document.getElementById('allSearchSuggestions');
+
+    input.addEventListener('input', renderSearchSuggestions);
+    input.addEventListener('focus', renderSearchSuggestions);
+    input.addEventListener('blur', () => { box.style.display = 'none'; });
+
+    input.addEventListener('keydown', (e) => {
+        if (!searchSuggestions || box.style.display === 'none') return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            moveSearchSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            acceptSearchSuggestion(searchSuggestions.active);
+        } else if (e.key === 'Escape') {
+            box.style.display = 'none';
+        }
+    });
+
+    // Keep focus in the input while a suggestion is clicked
+    box.addEventListener('mousedown', (e) => e.preventDefault());
+}
@@ -0,0 +1,140 @@
+// =====================================================
+// TauriPets - Structured Pet Sources (parsed sourceText)
+// =====================================================
+
+// sourceText field name -> source record type (matches sourceLabels keys)
+const SOURCE_TYPE_FIELDS = {
+    'Vendor': 'vendor',
+    'Drop': 'drop',
+    'Treasure': 'drop',
+    'Pet Battle': 'wild',
+    'Quest': 'quest',
+    'Achievement': 'achievement',
+    'Profession': 'profession',
+    'World Event': 'event',
+    'Promotion': 'promotion',
+    'Trading Card Game': 'tcg'
+};
+
+/**
+ * Split a sourceText string into its sources, each a map of "Key: Value" fields.
+ * Several sources are joined with "/ /" in the database.
+ */
+function splitSourceText(sourceText) {
+    return (sourceText || '').split(/\s*\/\s*\/\s*/).map(segment => {
+        const fields = {};
+        segment.split(/\s+\/\s*|\s*\/\s+|\s*\/$/).forEach(part => {
+            const idx = part.indexOf(': ');
+            if (idx === -1) return;
+            const key = part.slice(0, idx).trim();
+            if (!(key in fields)) fields[key] = part.slice(idx + 2).trim();
+        });
+        return fields;
+    }).filter(fields => Object.keys(fields).length > 0);
+}
+
+/**
+ * Parse a "Cost: 50" value. Costs with a |Hcurrency or |Hitem link are not gold.
+ */
+function parseSourceCost(value) {
+    if (!value) return null;
+    const match = value.match(/^(\d+)(?:\|H(currency|item):(\d+))?/);
+    if (!match) return null;
+    return {
+        amount: parseInt(match[1]),
+        currency: match[2] ? match[2] + ':' + match[3] : 'gold'
+    };
+}
+
+/**
+ * Turn one sourceText segment into a structured source record
+ */
+function buildSourceRecord(fields, fallbackType) {
+    const typeField = Object.keys(fields).find(key => key in SOURCE_TYPE_FIELDS);
+    const type = typeField ? SOURCE_TYPE_FIELDS[typeField] : (fallbackType || 'unknown');
+
+    // Wild pets list their zones in the Pet Battle field
+    const zones = splitCommaList(fields['Zone'] || (type === 'wild' ? fields['Pet Battle'] : ''));
+
+    return {
+        type,
+        npc: fields['Vendor'] || fields['Drop'] || fields['NPC'] || fields['Treasure'] || '',
+        vendors: splitCommaList(fields['Vendor']),
+        zones,
+        cost: parseSourceCost(fields['Cost']),
+        season: fields['Season'] || '',
+        profession: fields['Profession'] ? fields['Profession'].replace(/\s*\(\d+\)\s*$/, '') : '',
+        achievement: fields['Achievement'] || '',
+        faction: fields['Faction'] || '',
+        quest: fields['Quest'] || '',
+        event: fields['World Event'] || '',
+        fields
+    };
+}
+
+/**
+ * Normalize a database entry's sourceText into a list of source records
+ */
+function parsePetSources(pet) {
+    const records = splitSourceText(pet.sourceText).map((fields, index) =>
+        buildSourceRecord(fields, index === 0 ? pet.source : '')
+    );
+
+    if (records.length === 0) {
+        records.push(buildSourceRecord({}, pet.source));
+    }
+
+    // Fall back to the entry's zone column when no source names one
+    if (pet.zone && !records.some(r => r.zones.length > 0)) {
+        records[0].zones = splitCommaList(pet.zone);
+    }
+
+    return records;
+}
+
+const PET_SOURCES_CACHE = new Map();
+
+/**
+ * Get the (cached) structured source records for a database entry
+ */
+function getPetSources(pet) {
+    if (!PET_SOURCES_CACHE.has(pet.speciesID)) {
+        PET_SOURCES_CACHE.set(pet.speciesID, parsePetSources(pet));
+    }
+    return PET_SOURCES_CACHE.get(pet.speciesID);
+}
+
+/**
+ * Collect the distinct, sorted values of a source record field across the database
+ */
+function getSourceFieldValues(field) {
+    const values = new Set();
+    ALL_PETS_DATABASE.forEach(pet => {
+        getPetSources(pet).forEach(record => {
+            const value = record[field];
+            if (Array.isArray(value)) value.forEach(v => values.add(v));
+            else if (value) values.add(value);
+        });
+    });
+    return [...values].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Check whether a pet has a source matching every given criterion.
+ * criteria: { vendor, season, profession, minCost, maxCost } (all optional)
+ */
+function petMatchesSourceCriteria(pet, criteria) {
+    return getPetSources(pet).some(record => {
+        if (criteria.vendor && !record.vendors.includes(criteria.vendor)) return false;
+        if (criteria.season && record.season.toLowerCase() !== criteria.season.toLowerCase()) return false;
+        if (criteria.profession && record.profession.toLowerCase() !== criteria.profession.toLowerCase()) return false;
+
+        if (criteria.minCost !== undefined || criteria.maxCost !== undefined) {
+            if (!record.cost || record.cost.currency !== 'gold') return false;
+            if (criteria.minCost !== undefined && record.cost.amount < criteria.minCost) return false;
+            if (criteria.maxCost !== undefined && record.cost.amount > criteria.maxCost) return false;
+        }
+
+        return true;
+    });
+}
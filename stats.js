@@ -0,0 +1,97 @@
+// =====================================================
+// TauriPets - Collection Stats (shared by every view)
+// =====================================================
+
+/**
+ * Numeric quality of a pet (addon exports use quality, some older ones qualityID)
+ */
+function petQuality(pet) {
+    return typeof pet.quality === 'number' ? pet.quality : (pet.qualityID || 0);
+}
+
+/**
+ * Pick the copy of each species that counts: best quality, then highest level
+ */
+function bestPetsBySpecies(pets) {
+    const best = new Map();
+    for (const pet of pets) {
+        const quality = petQuality(pet);
+        const level = pet.level || 1;
+        const current = best.get(pet.speciesID);
+        if (!current || quality > current.quality || (quality === current.quality && level > current.level)) {
+            best.set(pet.speciesID, { pet, quality, level, family: pet.petType || pet.familyID || 0 });
+        }
+    }
+    return best;
+}
+
+/**
+ * Count a collection both per pet instance and per species.
+ * instances counts every copy (what the addon shows); species counts the best copy of each species once.
+ */
+function computeCollectionStats(pets) {
+    pets = pets || [];
+    const best = bestPetsBySpecies(pets);
+
+    const instances = { count: pets.length, level25Count: 0, rareCount: 0, epicCount: 0, favoriteCount: 0 };
+    for (const pet of pets) {
+        const quality = petQuality(pet);
+        if ((pet.level || 1) === 25) instances.level25Count++;
+        if (quality >= 3) instances.rareCount++;
+        if (quality >= 4) instances.epicCount++;
+        if (pet.favorite) instances.favoriteCount++;
+    }
+
+    const species = { uniqueCount: best.size, level25Count: 0, rareCount: 0, epicCount: 0, familyCount: 0, totalLevels: 0 };
+    const families = new Set();
+    for (const entry of best.values()) {
+        if (entry.level === 25) species.level25Count++;
+        if (entry.quality >= 3) species.rareCount++;
+        if (entry.quality >= 4) species.epicCount++;
+        if (entry.family) families.add(entry.family);
+        species.totalLevels += entry.level;
+    }
+    species.familyCount = families.size;
+
+    return { instances, species, best };
+}
+
+/**
+ * Flatten collection stats into the stats achievements check.
+ * counting ('instance' or 'species') picks how level 25, rare and epic pets are counted.
+ */
+function achievementStats(collectionStats, counting) {
+    const counts = counting === 'instance' ? collectionStats.instances : collectionStats.species;
+    return {
+        uniqueCount: collectionStats.species.uniqueCount,
+        level25Count: counts.level25Count,
+        familyCount: collectionStats.species.familyCount,
+        rareCount: counts.rareCount,
+        epicCount: counts.epicCount,
+        totalLevels: collectionStats.species.totalLevels
+    };
+}
+
+/**
+ * Distinct species owned per pet family, using the database's family for each species.
+ * Returns { familyId: count } with only the families that have pets.
+ */
+function countSpeciesByFamily(pets) {
+    const counts = {};
+    new Set(pets.map(p => p.speciesID)).forEach(speciesID => {
+        const dbPet = getDatabasePet(speciesID);
+        if (dbPet && dbPet.family) counts[dbPet.family] = (counts[dbPet.family] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Number of species in the database per pet family, for completion percentages
+ */
+function databaseSpeciesByFamily() {
+    const counts = {};
+    PET_INDEX.byFamily.forEach((pets, family) => {
+        if (family) counts[family] = pets.length;
+    });
+    return counts;
+}
@@ -0,0 +1,203 @@
+// =====================================================
+// TauriPets - Local Collection Storage (IndexedDB)
+// =====================================================
+
+const STORAGE_DB_NAME = 'tauripets';
+const STORAGE_DB_VERSION = 2;
+const COLLECTIONS_STORE = 'collections';
+const SNAPSHOTS_STORE = 'snapshots';
+
+let storageDBPromise = null;
+
+/**
+ * Open (and create on first use) the TauriPets IndexedDB database
+ */
+function openStorageDB() {
+    if (storageDBPromise) return storageDBPromise;
+
+    storageDBPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(COLLECTIONS_STORE)) {
+                db.createObjectStore(COLLECTIONS_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+                const snapshots = db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id', autoIncrement: true });
+                snapshots.createIndex('collectionId', 'collectionId');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call retry if opening failed
+    storageDBPromise.catch(() => { storageDBPromise = null; });
+    return storageDBPromise;
+}
+
+/**
+ * Run a single request against an object store and resolve with its result
+ */
+async function storageRequest(storeName, mode, makeRequest) {
+    const db = await openStorageDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = makeRequest(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Storage key for a collection: "Name-Realm"
+ */
+function collectionKey(data) {
+    return data.playerName + '-' + data.realmName;
+}
+
+/**
+ * Save a parsed collection locally
+ */
+async function saveStoredCollection(data) {
+    try {
+        await storageRequest(COLLECTIONS_STORE, 'readwrite', store => store.put({
+            id: collectionKey(data),
+            data,
+            savedAt: Date.now()
+        }));
+        return true;
+    } catch (err) {
+        console.warn('Could not save collection locally:', err);
+        return false;
+    }
+}
+
+/**
+ * Load every locally stored collection, oldest first
+ */
+async function loadStoredCollections() {
+    try {
+        const records = await storageRequest(COLLECTIONS_STORE, 'readonly', store => store.getAll());
+        return (records || []).sort((a, b) => a.savedAt - b.savedAt);
+    } catch (err) {
+        console.warn('Could not load stored collections:', err);
+        return [];
+    }
+}
+
+/**
+ * Delete a locally stored collection
+ */
+async function deleteStoredCollection(id) {
+    try {
+        await storageRequest(COLLECTIONS_STORE, 'readwrite', store => store.delete(id));
+        if (localStorage.getItem('tauripets_active_collection') === id) {
+            localStorage.removeItem('tauripets_active_collection');
+        }
+        return true;
+    } catch (err) {
+        console.warn('Could not delete stored collection:', err);
+        return false;
+    }
+}
+
+/**
+ * Save a history snapshot
+ */
+async function saveSnapshot(snapshot) {
+    try {
+        await storageRequest(SNAPSHOTS_STORE, 'readwrite', store => store.add(snapshot));
+        return true;
+    } catch (err) {
+        console.warn('Could not save snapshot:', err);
+        return false;
+    }
+}
+
+/**
+ * Load a collection's history snapshots, oldest first
+ */
+async function loadSnapshots(collectionId) {
+    try {
+        const records = await storageRequest(SNAPSHOTS_STORE, 'readonly', store => store.index('collectionId').getAll(collectionId));
+        return (records || []).sort((a, b) => a.timestamp - b.timestamp);
+    } catch (err) {
+        console.warn('Could not load snapshots:', err);
+        return [];
+    }
+}
+
+/**
+ * Delete every history snapshot for a collection
+ */
+async function deleteSnapshots(collectionId) {
+    try {
+        await storageRequest(SNAPSHOTS_STORE, 'readwrite', store => {
+            const request = store.index('collectionId').openCursor(IDBKeyRange.only(collectionId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            return request;
+        });
+        return true;
+    } catch (err) {
+        console.warn('Could not delete snapshots:', err);
+        return false;
+    }
+}
+
+/**
+ * Restore stored collections on startup, activating the last one used
+ */
+async function restoreStoredCollections() {
+    const records = await loadStoredCollections();
+    if (records.length === 0) return;
+
+    // A file loaded while we were reading keeps priority
+    if (playerData) {
+        characterProfiles = mergeProfiles(records.map(r => r.data), characterProfiles);
+        renderProfileSwitcher();
+        return;
+    }
+
+    characterProfiles = records.map(r => r.data);
+
+    const activeId = localStorage.getItem('tauripets_active_collection');
+    const active = records.find(r => r.id === activeId) || records[records.length - 1];
+
+    setActiveCollection(active.data);
+    console.log('💾 Restored ' + records.length + ' saved collection(s)');
+}
+
+/**
+ * Forget the active collection on this device and switch to another one if any
+ */
+async function forgetActiveCollection() {
+    if (!playerData) return;
+
+    const id = collectionKey(playerData);
+    if (!confirm('Forget ' + id + "'s collection and history on this device?\n\nYou'll need to load your file again to see it.")) return;
+
+    await deleteStoredCollection(id);
+    await deleteSnapshots(id);
+    characterProfiles = characterProfiles.filter(p => collectionKey(p) !== id);
+
+    if (characterProfiles.length > 0) {
+        setActiveCollection(characterProfiles[characterProfiles.length - 1]);
+    } else {
+        clearActiveCollection();
+    }
+}
@@ -2,11 +2,144 @@
 // TauriPets - Supabase Database Functions
 // =====================================================
 
+/**
+ * Load queued offline writes from localStorage
+ */
+function loadOfflineQueue() {
+    try {
+        const s = localStorage.getItem('tauripets_offline_queue');
+        return s ? JSON.parse(s) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Queue a Supabase write to replay when the connection returns.
+ * A newer write with the same key replaces the queued one.
+ */
+function queueOfflineWrite(type, key, payload) {
+    const queue = loadOfflineQueue().filter(item => !(item.type === type && item.key === key));
+    queue.push({ type, key, payload, queuedAt: Date.now() });
+    localStorage.setItem('tauripets_offline_queue', JSON.stringify(queue));
+}
+
+/**
+ * Replay queued writes; anything that still fails stays queued.
+ * Only the writes that were sent leave the queue, so writes queued while replaying are kept.
+ * This runs on its own when the connection returns, so it never asks or alerts -
+ * what happened to each write is shown in the sync status line instead.
+ */
+async function replayOfflineQueue() {
+    const queue = loadOfflineQueue();
+    if (queue.length === 0 || !navigator.onLine) return;
+
+    const sent = [];
+    const log = [];
+    for (const item of queue) {
+        let ok = false;
+        if (item.type === 'collection') {
+            const p = item.payload;
+            ok = await saveCollectionToSupabase(p.player, p.realm, p.pets, p.score);
+            log.push(ok ? '✓ Saved the collection of ' + item.key : 'Could not save the collection of ' + item.key + ' - will retry');
+        } else if (item.type === 'score') {
+            // Scores queued before server-side scoring carry no pet list and can't be sent any more
+            ok = item.payload.pets ? await sendScore(item.payload, log) : true;
+        }
+        if (ok) sent.push(item);
+    }
+
+    const isSent = item => sent.some(s => s.type === item.type && s.key === item.key && s.queuedAt === item.queuedAt);
+    localStorage.setItem('tauripets_offline_queue', JSON.stringify(loadOfflineQueue().filter(item => !isSent(item))));
+    showSyncStatus(log);
+}
+
+/**
+ * Tell the player how a submission went: an alert for one they just made, or a line
+ * in log (see replayOfflineQueue) for a queued one replayed in the background
+ */
+function reportSubmission(message, log) {
+    if (log) log.push(message);
+    else alert(message);
+}
+
+/**
+ * Make sure this browser has a Supabase session, signing in anonymously the first time.
+ * The session is what owns claimed characters, so writes go through it.
+ */
+async function ensureSession() {
+    const { data } = await supabaseClient.auth.getSession();
+    if (data.session) return data.session;
+
+    const { data: signedIn, error } = await supabaseClient.auth.signInAnonymously();
+    if (error) throw error;
+    return signedIn.session;
+}
+
+/**
+ * Claim status of a character for this browser: 'mine', 'other' or 'unclaimed' (null on error)
+ */
+async function fetchClaimStatus(playerName, realmName) {
+    try {
+        const { data, error } = await supabaseClient.rpc('character_claim_status', { p_player: playerName, p_realm: realmName });
+        return error ? null : data;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Get a one-time token that claims one character for this browser's session.
+ * It is redeemed by submit-score when it comes back inside that character's export.
+ */
+async function issueClaimToken(playerName, realmName) {
+    await ensureSession();
+    const { data, error } = await supabaseClient.rpc('issue_claim_token', { p_player: playerName, p_realm: realmName });
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+/**
+ * Give up this browser's claim on a character
+ */
+async function releaseClaim(playerName, realmName) {
+    await ensureSession();
+    const { error } = await supabaseClient.rpc('release_character_claim', { p_player: playerName, p_realm: realmName });
+    if (error) throw new Error(error.message);
+}
+
+/**
+ * Report how the claim token sent with a submission was handled (log as in reportSubmission)
+ */
+async function reportSubmittedClaim(submission, claim, log) {
+    if (!claim) return;
+
+    const name = submission.player + '-' + submission.realm;
+    if (claim.status === 'claimed' && log) {
+        log.push('🔐 ' + name + ' is now claimed by you');
+    } else if (claim.status === 'claimed') {
+        document.getElementById('copyFeedback').textContent = '🔐 ' + name + ' is now claimed by you!';
+        showCopyFeedback();
+    } else if (claim.error) {
+        // The addon keeps the token in later exports, so this also comes back once the claim is done
+        const status = await fetchClaimStatus(submission.player, submission.realm);
+        if (status !== 'mine') reportSubmission('Could not claim ' + name + ':\n\n' + claim.error, log);
+    }
+    renderClaimStatus();
+}
+
 /**
  * Save collection to Supabase
  */
 async function saveCollectionToSupabase(playerName, realmName, pets, score) {
+    if (!navigator.onLine) {
+        queueOfflineWrite('collection', playerName + '-' + realmName, { player: playerName, realm: realmName, pets, score });
+        return false;
+    }
+
     try {
+        await ensureSession();
+
         const { data: existing } = await supabaseClient
             .from('collections')
             .select('id')
@@ -60,31 +193,147 @@ async function loadCollectionFromSupabase(playerName, realmName) {
 }
 
 /**
- * Fetch leaderboard data
+ * Escape LIKE wildcards in a search term
+ */
+function escapeLikePattern(text) {
+    return text.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Start of a leaderboard period in UTC: Monday of this week, the 1st of this month,
+ * the first day of this quarter (season), or the epoch for all time
+ */
+function leaderboardPeriodStart(period, now = new Date()) {
+    const year = now.getUTCFullYear(), month = now.getUTCMonth(), day = now.getUTCDate();
+    if (period === 'week') return new Date(Date.UTC(year, month, day - (now.getUTCDay() + 6) % 7));
+    if (period === 'month') return new Date(Date.UTC(year, month, 1));
+    if (period === 'season') return new Date(Date.UTC(year, month - month % 3, 1));
+    return new Date(0);
+}
+
+/**
+ * Query one leaderboard board.
+ * All-time boards come from the leaderboard_boards view (family 0 for every board but 'family');
+ * gainers and time-windowed boards come from the leaderboard_window function over the submission history.
+ * select is a column list, or null for the columns the leaderboard displays.
+ */
+function leaderboardBoardQuery(view, select, countOptions) {
+    const board = view.board || 'score';
+
+    if (board === 'gainers' || (LEADERBOARD_BOARDS[board].periods && view.period && view.period !== 'all')) {
+        return supabaseClient
+            .rpc('leaderboard_window', {
+                board,
+                since: leaderboardPeriodStart(view.period).toISOString(),
+                rules: CURRENT_RULES_VERSION
+            }, countOptions)
+            .select(select || LEADERBOARD_COLUMNS + ', start_score');
+    }
+
+    return supabaseClient
+        .from('leaderboard_boards')
+        .select(select || LEADERBOARD_COLUMNS, countOptions)
+        .eq('board', board)
+        .eq('family', board === 'family' ? view.family : 0);
+}
+
+/**
+ * Fetch one page of a leaderboard board.
+ * options: { board, family, period, page, search, realm }. Returns { entries, total } -
+ * each entry carries its board value and global rank on that board.
  */
-async function fetchLeaderboard() {
+async function fetchLeaderboard(options = {}) {
+    const page = options.page || 0;
+    const from = page * LEADERBOARD_PAGE_SIZE;
+
     try {
-        const { data, error } = await supabaseClient
-            .from('Leaderboard')
-            .select('*')
-            .order('score', { ascending: false })
-            .limit(50);
+        let query = leaderboardBoardQuery(options, null, { count: 'exact' });
+
+        if (options.search) query = query.ilike('player', '%' + escapeLikePattern(options.search) + '%');
+        if (options.realm) query = query.eq('realm', options.realm);
+
+        const { data, error, count } = await query
+            .order('value', { ascending: false })
+            .order('id', { ascending: true })
+            .range(from, from + LEADERBOARD_PAGE_SIZE - 1);
 
         if (error) {
             console.error('Leaderboard fetch error:', error);
-            return [];
+            return { entries: [], total: 0 };
         }
-        
-        console.log('Leaderboard data:', data);
-        return data || [];
+
+        return { entries: data || [], total: count || 0 };
     } catch (err) {
         console.error('Leaderboard fetch exception:', err);
+        return { entries: [], total: 0 };
+    }
+}
+
+/**
+ * List the realms that have leaderboard entries
+ */
+async function fetchLeaderboardRealms() {
+    try {
+        const { data, error } = await supabaseClient.from('leaderboard_realms').select('realm');
+        if (error) return [];
+        return (data || []).map(r => r.realm).sort((a, b) => a.localeCompare(b));
+    } catch (err) {
         return [];
     }
 }
 
 /**
- * Submit score to leaderboard
+ * Find a player's entry and the page it sits on in an unfiltered board.
+ * view: { board, family, period }. Returns { entry, page } or null when the player isn't on that board.
+ */
+async function findLeaderboardPosition(playerName, realmName, view) {
+    try {
+        const { data: entry } = await leaderboardBoardQuery(view, null)
+            .eq('player', playerName)
+            .eq('realm', realmName)
+            .maybeSingle();
+
+        if (!entry) return null;
+
+        // Rows ahead: higher values, plus equal values listed first (same order as fetchLeaderboard)
+        const { count } = await leaderboardBoardQuery(view, 'id', { count: 'exact', head: true })
+            .or('value.gt.' + entry.value + ',and(value.eq.' + entry.value + ',id.lt.' + entry.id + ')');
+
+        return { entry, page: Math.floor((count || 0) / LEADERBOARD_PAGE_SIZE) };
+    } catch (err) {
+        console.error('Leaderboard position error:', err);
+        return null;
+    }
+}
+
+/**
+ * Load everything a player profile shows: their uploaded collection, their entry on
+ * the all-time score board (with rank) and their submission history, oldest first.
+ * Missing parts come back as null / an empty list.
+ */
+async function fetchPlayerProfile(playerName, realmName) {
+    const [collection, entry, history] = await Promise.all([
+        loadCollectionFromSupabase(playerName, realmName),
+        leaderboardBoardQuery({ board: 'score' }, null)
+            .eq('player', playerName)
+            .eq('realm', realmName)
+            .maybeSingle()
+            .then(({ data }) => data, () => null),
+        supabaseClient
+            .from('leaderboard_history')
+            .select('score, pets, level25, rules_version, submitted_at')
+            .eq('player', playerName)
+            .eq('realm', realmName)
+            .order('submitted_at', { ascending: true })
+            .then(({ data }) => data || [], () => [])
+    ]);
+
+    return { collection, entry, history };
+}
+
+/**
+ * Submit score to leaderboard.
+ * Only the pet list is sent - the submit-score function validates it and recomputes the score.
  */
 async function submitScore() {
     if (!currentScoreData || !playerData) {
@@ -92,123 +341,107 @@ async function submitScore() {
         return;
     }
 
-    const data = {
+    // Catch impossible pets before the server does
+    const check = validateSubmission(playerData.pets || []);
+    if (!check.valid) {
+        alert('⚠️ This collection can\'t be submitted:\n\n' + check.errors.slice(0, 5).join('\n') +
+            (check.errors.length > 5 ? '\n…and ' + (check.errors.length - 5) + ' more' : ''));
+        return;
+    }
+
+    const submission = {
         player: playerData.playerName,
         realm: playerData.realmName,
-        score: currentScoreData.total,
-        pets: currentScoreData.stats.uniqueCount,
-        level25: currentScoreData.stats.level25Count,
-        rare: currentScoreData.stats.rareCount,
-        epic: currentScoreData.stats.epicCount
+        pets: check.pets
     };
+    if (playerData.claimToken) submission.claimToken = playerData.claimToken;
 
-    // Generate collection fingerprint from pet data
-    const petList = playerData.pets || [];
-    const sortedPets = petList
-        .map(p => `${p.speciesID || 0}-${p.level || 1}-${(typeof p.quality === 'number' ? p.quality : (p.qualityID || 0))}`)
-        .sort()
-        .join(',');
-    const collectionId = btoa(sortedPets).substring(0, 64);
-
-    if (!confirm('Submit your score?\n\nPlayer: ' + data.player + '-' + data.realm +
-        '\nScore: ' + data.score.toLocaleString() +
-        '\nPets: ' + data.pets +
-        '\nLevel 25: ' + data.level25)) {
+    if (!confirm('Submit your score?\n\nPlayer: ' + submission.player + '-' + submission.realm +
+        '\nScore: ' + currentScoreData.total.toLocaleString() +
+        '\nPets: ' + currentScoreData.stats.uniqueCount +
+        '\nLevel 25: ' + currentScoreData.stats.level25Count)) {
         return;
     }
 
+    if (!navigator.onLine) {
+        queueOfflineWrite('score', submission.player + '-' + submission.realm, submission);
+        alert('📡 You are offline. Your score will be submitted when the connection returns.');
+        return;
+    }
+
+    await sendScore(submission);
+}
+
+/**
+ * Send a submission to the submit-score function, handling duplicate collections.
+ * Returns true when the submission was handled (written, or deliberately skipped).
+ * With a log (a replayed offline submission) nothing pops up: outcomes go to the log,
+ * and a duplicate is skipped rather than replaced, since there is nobody to ask.
+ */
+async function sendScore(submission, log) {
+    const name = submission.player + '-' + submission.realm;
     try {
-        console.log('Collection ID:', collectionId);
-        console.log('Current player:', data.player);
-        
-        // FIRST: Check if this exact collection already exists under a different character (prevents multi-char submissions)
-        const { data: duplicateCheck } = await supabaseClient
-            .from('Leaderboard')
-            .select('id, score, player, realm, collection_id')
-            .eq('collection_id', collectionId)
-            .maybeSingle();
+        await ensureSession();
+        const { data: result, error } = await supabaseClient.functions.invoke('submit-score', { body: submission });
 
-        console.log('Duplicate check result:', duplicateCheck);
-
-        if (duplicateCheck) {
-            if (duplicateCheck.player !== data.player) {
-                // Same collection, different character name - ASK TO REPLACE
-                if (!confirm('⚠️ This collection is already on the leaderboard as:\n\n' +
-                    duplicateCheck.player + '-' + duplicateCheck.realm + ' (Score: ' + duplicateCheck.score.toLocaleString() + ')\n\n' +
-                    'Replace with ' + data.player + '-' + data.realm + '?')) {
-                    return;
-                }
-                
-                // Delete the old entry
-                await supabaseClient
-                    .from('Leaderboard')
-                    .delete()
-                    .eq('id', duplicateCheck.id);
-                
-                console.log('Deleted old entry for:', duplicateCheck.player);
+        if (error) {
+            // Validation failures come back as a 4xx with the reasons in the body
+            const details = error.context && typeof error.context.json === 'function'
+                ? await error.context.json().catch(() => null)
+                : null;
+            if (details && details.status === 'rejected') {
+                reportSubmission('⚠️ Submission of ' + name + ' rejected:\n\n' + details.errors.slice(0, 5).join('\n'), log);
+                return true;
             }
-            // If it's the same player name, allow it (they're updating their own score)
+            console.error('Submit error:', error);
+            reportSubmission('Error submitting ' + name + ': ' + (details && details.errors ? details.errors[0] : error.message) +
+                (log ? ' - will retry' : ''), log);
+            return false;
         }
 
-        // SECOND: Check if this specific player already has a score
-        const { data: existing } = await supabaseClient
-            .from('Leaderboard')
-            .select('id, score, player, realm, collection_id')
-            .eq('player', data.player)
-            .eq('realm', data.realm)
-            .maybeSingle();
+        await reportSubmittedClaim(submission, result.claim, log);
 
-        if (existing && existing.score >= data.score) {
-            alert('Your current leaderboard score (' + existing.score.toLocaleString() + ') is higher or equal!');
-            return;
+        if (result.status === 'duplicate') {
+            // Same collection, different character name - ASK TO REPLACE
+            const existing = result.existing;
+            const match = result.similarity < 1 ? ' (' + Math.round(result.similarity * 100) + '% the same pets)' : '';
+            if (log) {
+                log.push(name + ' was not submitted: this collection is already on the leaderboard as ' +
+                    existing.player + '-' + existing.realm + match + '. Submit it again to replace that entry.');
+                return true;
+            }
+            if (!confirm('⚠️ This collection is already on the leaderboard as:\n\n' +
+                existing.player + '-' + existing.realm + ' (Score: ' + existing.score.toLocaleString() + ')' + match + '\n\n' +
+                'Replace with ' + submission.player + '-' + submission.realm + '?')) {
+                return true;
+            }
+            return sendScore(Object.assign({}, submission, { replaceDuplicate: true }));
         }
 
-        // If player already exists, update; otherwise insert
-        if (existing) {
-            result = await supabaseClient
-                .from('Leaderboard')
-                .update({
-                    realm: data.realm,
-                    score: data.score,
-                    pets: data.pets,
-                    level25: data.level25,
-                    rare: data.rare,
-                    epic: data.epic,
-                    collection_id: collectionId,
-                    created_at: new Date()
-                })
-                .eq('player', data.player)
-                .eq('realm', data.realm);
-        } else {
-            result = await supabaseClient
-                .from('Leaderboard')
-                .insert({
-                    player: data.player,
-                    realm: data.realm,
-                    score: data.score,
-                    pets: data.pets,
-                    level25: data.level25,
-                    rare: data.rare,
-                    epic: data.epic,
-                    collection_id: collectionId,
-                    created_at: new Date()
-                });
+        if (result.status === 'not_higher') {
+            reportSubmission('Your current leaderboard score for ' + name + ' (' + result.existingScore.toLocaleString() + ') is higher or equal!', log);
+            return true;
         }
 
-        console.log('Upsert result:', result);
-
-        if (result.error) {
-            console.error('Upsert error:', result.error);
-            alert('Error submitting: ' + result.error.message);
-            return;
+        // Replays are followed by a leaderboard refresh (setupOfflineSync), without jumping the page around
+        if (log) {
+            log.push('✓ ' + name + ' score submitted: ' + result.score.toLocaleString());
+            return true;
         }
 
         showCopyFeedback();
-        document.getElementById('copyFeedback').textContent = '✓ Score submitted!';
-        await renderLeaderboard();
+        document.getElementById('copyFeedback').textContent = '✓ Score submitted: ' + result.score.toLocaleString() + '!';
+        await populateLeaderboardRealms();
+        if (playerData && playerData.playerName === submission.player && playerData.realmName === submission.realm) {
+            await jumpToMyRank();
+        } else {
+            await renderLeaderboard();
+        }
+        return true;
     } catch (err) {
         console.error('Submit exception:', err);
-        alert('Error submitting score: ' + (err.message || 'Unknown error'));
+        reportSubmission('Error submitting ' + name + ': ' + (err.message || 'Unknown error') + (log ? ' - will retry' : ''), log);
+        return false;
     }
 }
 
@@ -234,15 +467,8 @@ async function viewPlayerCollection(playerName, realmName, showAll = false) {
     }
 
     const pets = collection.pets;
-    let level25 = 0, rareCount = 0, epicCount = 0;
-    const familiesOwned = new Set();
-
-    pets.forEach(pet => {
-        if (pet.level === 25) level25++;
-        if (pet.quality >= 3) rareCount++;
-        if (pet.quality >= 4) epicCount++;
-        if (pet.petType) familiesOwned.add(pet.petType);
-    });
+    const collectionStats = computeCollectionStats(pets);
+    const stats = achievementStats(collectionStats, getScoringRules().achievementCounting);
 
     pets.sort((a, b) => (b.level !== a.level) ? b.level - a.level : b.quality - a.quality);
 
@@ -262,36 +488,45 @@ async function viewPlayerCollection(playerName, realmName, showAll = false) {
             '<div class="comparison-stat"><span class="value" style="color:#00ff88;">' + youHaveTheyDont.length + '</span> pets you have that they don\'t</div>' +
             '</div>' +
             (theyHaveYouDont.length > 0 ? 
-                '<button class="modal-btn" onclick="showMissingPetsFromPlayer(\'' + playerName + '\', \'' + realmName + '\')" style="margin-top:10px;">🔍 Show Pets You\'re Missing</button>' 
+                '<button class="modal-btn"' + actionAttrs('missing-pets', { player: playerName, realm: realmName }) + ' style="margin-top:10px;">🔍 Show Pets You\'re Missing</button>' 
                 : '') +
             '</div>';
     }
 
+    // Stored scores may predate the current rule set - recompute from the pets
+    const currentScore = calculateScore(pets);
+    const rescoredHTML = currentScore && collection.score && currentScore.total !== collection.score
+        ? '<div class="modal-rescored">Under the current scoring rules (v' + currentScore.rulesVersion + ') this collection scores <strong>' +
+            currentScore.total.toLocaleString() + '</strong></div>'
+        : '';
+
     // Determine how many pets to show
     const petsToShow = showAll ? pets : pets.slice(0, 50);
     const hasMore = pets.length > 50 && !showAll;
 
     modalBody.innerHTML =
         '<div class="modal-stats">' +
-        '<div class="modal-stat"><div class="value">' + pets.length + '</div><div class="label">Pets</div></div>' +
-        '<div class="modal-stat"><div class="value">' + level25 + '</div><div class="label">Lv 25</div></div>' +
-        '<div class="modal-stat"><div class="value">' + rareCount + '</div><div class="label">Rare+</div></div>' +
-        '<div class="modal-stat"><div class="value">' + familiesOwned.size + '</div><div class="label">Families</div></div>' +
-        '<div class="modal-stat score"><div class="value">' + (collection.score ? collection.score.toLocaleString() : 'N/A') + '</div><div class="label">Score</div></div>' +
+        '<div class="modal-stat"><div class="value">' + collectionStats.instances.count + '</div><div class="label">Pets</div></div>' +
+        '<div class="modal-stat"><div class="value">' + stats.level25Count + '</div><div class="label">Lv 25</div></div>' +
+        '<div class="modal-stat"><div class="value">' + stats.rareCount + '</div><div class="label">Rare+</div></div>' +
+        '<div class="modal-stat"><div class="value">' + stats.familyCount + '</div><div class="label">Families</div></div>' +
+        '<div class="modal-stat score"><div class="value">' + (collection.score ? escapeHtml(collection.score.toLocaleString()) : 'N/A') + '</div><div class="label">Score</div></div>' +
         '</div>' +
+        rescoredHTML +
         comparisonHTML +
         '<div class="modal-pets">' +
         petsToShow.map(pet => {
             const qc = ['poor', 'common', 'uncommon', 'rare', 'epic', 'legendary'][pet.quality] || 'common';
             const fi = families[pet.petType]?.icon || '❓';
-            return '<div class="modal-pet ' + qc + '">' +
+            return '<div class="modal-pet ' + escapeHtml(qc) + '">' +
                 '<span class="pet-icon">' + fi + '</span>' +
-                '<span class="pet-name">' + (pet.speciesName || 'Unknown') + '</span>' +
-                '<span class="pet-level">Lv ' + pet.level + '</span></div>';
+                '<span class="pet-name">' + escapeHtml(pet.speciesName || 'Unknown') + '</span>' +
+                '<span class="pet-level">Lv ' + escapeHtml(pet.level) + '</span></div>';
         }).join('') +
         '</div>' +
-        (hasMore ? '<button class="modal-btn show-more-btn" onclick="viewPlayerCollection(\'' + playerName + '\', \'' + realmName + '\', true)" style="margin-top:15px;">📜 Show All ' + pets.length + ' Pets</button>' : '') +
-        '<div class="modal-updated">Last updated: ' + (collection.updated_at ? new Date(collection.updated_at).toLocaleDateString() : 'Unknown') + '</div>';
+        (hasMore ? '<button class="modal-btn show-more-btn"' + actionAttrs('view-player-all', { player: playerName, realm: realmName }) + ' style="margin-top:15px;">📜 Show All ' + pets.length + ' Pets</button>' : '') +
+        '<div class="modal-updated">Last updated: ' + (collection.updated_at ? new Date(collection.updated_at).toLocaleDateString() : 'Unknown') +
+        ' · <a class="modal-profile-link" href="' + escapeHtml(profileHash(playerName, realmName)) + '"' + actionAttrs('close-modal') + '>👤 Open profile</a></div>';
 }
 
 function closeModal() {
@@ -328,17 +563,17 @@ async function showMissingPetsFromPlayer(playerName, realmName) {
             const fi = families[pet.petType]?.icon || '❓';
             
             // Find this pet in the database to get source info
-            const dbPet = ALL_PETS_DATABASE.find(p => p.speciesID === pet.speciesID);
+            const dbPet = getDatabasePet(pet.speciesID);
             const sourceInfo = dbPet ? (dbPet.sourceText || dbPet.zone || 'Unknown') : 'Unknown';
             
-            return '<div class="modal-pet missing-highlight ' + qc + '">' +
+            return '<div class="modal-pet missing-highlight ' + escapeHtml(qc) + '">' +
                 '<span class="pet-icon">' + fi + '</span>' +
                 '<div class="pet-details-column">' +
-                '<span class="pet-name">' + (pet.speciesName || 'Unknown') + '</span>' +
-                '<span class="pet-source">📍 ' + sourceInfo + '</span>' +
+                '<span class="pet-name">' + escapeHtml(pet.speciesName || 'Unknown') + '</span>' +
+                '<span class="pet-source">📍 ' + escapeHtml(sourceInfo) + '</span>' +
                 '</div>' +
-                '<span class="pet-level">Lv ' + pet.level + '</span></div>';
+                '<span class="pet-level">Lv ' + escapeHtml(pet.level) + '</span></div>';
         }).join('') +
         '</div>' +
-        '<button class="modal-btn" onclick="viewPlayerCollection(\'' + playerName + '\', \'' + realmName + '\')" style="margin-top:15px;">← Back to Full Collection</button>';
+        '<button class="modal-btn"' + actionAttrs('view-player', { player: playerName, realm: realmName }) + ' style="margin-top:15px;">← Back to Full Collection</button>';
 }
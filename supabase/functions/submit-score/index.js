@@ -0,0 +1,256 @@
+// =====================================================
+// TauriPets - submit-score Edge Function
+// Recomputes and validates leaderboard scores server-side
+// =====================================================
+
+// Site scripts the function shares with the browser, in load order.
+// They're plain scripts, so they are evaluated together in one function scope.
+const SHARED_SCRIPTS = [
+    'pet-database.js',
+    'pet-index.js',
+    'scoring-rules.js',
+    'stats.js',
+    'scoring.js',
+    'validation.js'
+];
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// Realm names can contain spaces ("[EN] Evermoon"), markup characters never
+const NAME_PATTERN = /^[^<>"'&\r\n]{2,48}$/;
+
+// A claim lapses this long after its claimant's last submission (matches character_claims.expires_at)
+const CLAIM_LIFETIME_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Evaluate the shared site scripts and return the functions the handler uses.
+ * readText(filename) returns a script's source.
+ */
+export async function loadShared(readText) {
+    const sources = await Promise.all(SHARED_SCRIPTS.map(readText));
+    return new Function(sources.join('\n;\n') +
+        '\nreturn { calculateScore, countSpeciesByFamily, validateSubmission, collectionKeys, collectionFingerprint, findDuplicateCollection, duplicateSpeciesCountRange, CURRENT_RULES_VERSION };')();
+}
+
+/**
+ * Read a shared script shipped next to the function (see static_files in supabase/config.toml)
+ */
+function readSiteScript(filename) {
+    return Deno.readTextFile(new URL('../../../' + filename, import.meta.url));
+}
+
+/**
+ * The user id that has claimed a character, or null when it's unclaimed or the claim lapsed
+ */
+async function characterClaimant(db, player, realm) {
+    const { data } = await db
+        .from('character_claims')
+        .select('user_id, expires_at')
+        .eq('player', player)
+        .eq('realm', realm)
+        .maybeSingle();
+    return data && new Date(data.expires_at) > new Date() ? data.user_id : null;
+}
+
+/**
+ * Leaderboard entries that could be duplicates of a collection, narrowed in SQL over the
+ * GIN-indexed key columns: entries sharing a petID, plus entries without petIDs of a
+ * similar size sharing a species key. Returns { entries } or { error }.
+ */
+async function findDuplicateCandidates(db, shared, keys) {
+    const columns = 'id, score, player, realm, pet_ids, species_keys';
+    const queries = [];
+
+    if (keys.petIDs.length > 0) {
+        queries.push(db.from('Leaderboard').select(columns).overlaps('pet_ids', keys.petIDs));
+    }
+
+    const range = shared.duplicateSpeciesCountRange(keys.species.length);
+    if (range) {
+        let query = db
+            .from('Leaderboard')
+            .select(columns)
+            .overlaps('species_keys', keys.species)
+            .gte('species_count', range.min)
+            .lte('species_count', range.max);
+        // When both sides have petIDs only petIDs are compared, so those entries came from the first query
+        if (keys.petIDs.length > 0) query = query.eq('pet_ids', '{}');
+        queries.push(query);
+    }
+
+    const entries = new Map();
+    for (const { data, error } of await Promise.all(queries)) {
+        if (error) return { error: error.message };
+        (data || []).forEach(entry => entries.set(entry.id, entry));
+    }
+    return { entries: [...entries.values()] };
+}
+
+/**
+ * Claim a character with the token carried by its submitted export.
+ * Returns { status: 'claimed' | 'already_yours' } or { error }.
+ */
+async function redeemSubmittedToken(db, token, userId, player, realm) {
+    if (!userId) return { error: 'Sign in before claiming a character' };
+
+    const { data, error } = await db.rpc('redeem_claim_token', { p_token: token, p_user_id: userId, p_player: player, p_realm: realm });
+    return error ? { error: error.message } : { status: data };
+}
+
+/**
+ * Handle one submission: { player, realm, pets, replaceDuplicate, claimToken }.
+ * db is a Supabase client (or anything with the same query surface); userId is the
+ * caller's session, or null without one.
+ * Returns { status, body } where body.status is submitted, duplicate, not_higher or rejected.
+ * A claimToken is redeemed once the pets pass validation; body.claim reports how that went.
+ */
+export async function processSubmission(submission, db, shared, userId = null) {
+    const { player, realm, pets, replaceDuplicate, claimToken } = submission || {};
+
+    if (!NAME_PATTERN.test(player || '') || !NAME_PATTERN.test(realm || '')) {
+        return { status: 400, body: { status: 'rejected', errors: ['Invalid player or realm name'] } };
+    }
+
+    // Claimed characters can only be changed by the session that claimed them
+    const claimant = await characterClaimant(db, player, realm);
+    if (claimant && claimant !== userId) {
+        return { status: 403, body: { status: 'rejected', errors: [player + '-' + realm + ' is claimed by another player'] } };
+    }
+
+    const check = shared.validateSubmission(pets);
+    if (!check.valid) {
+        return { status: 422, body: { status: 'rejected', errors: check.errors.slice(0, 20) } };
+    }
+
+    // The token has to be the one issued for this character, arriving with its collection
+    const claim = typeof claimToken === 'string' && claimToken
+        ? await redeemSubmittedToken(db, claimToken, userId, player, realm)
+        : null;
+
+    // Every submission from the claimant keeps the claim alive
+    if (userId && (claimant === userId || (claim && claim.status))) {
+        await db.from('character_claims')
+            .update({ expires_at: new Date(Date.now() + CLAIM_LIFETIME_MS).toISOString() })
+            .eq('player', player)
+            .eq('realm', realm)
+            .eq('user_id', userId);
+    }
+
+    const score = shared.calculateScore(check.pets);
+    const keys = shared.collectionKeys(check.pets);
+    const collectionId = await shared.collectionFingerprint(check.pets);
+    const row = {
+        player,
+        realm,
+        score: score.total,
+        pets: score.stats.uniqueCount,
+        level25: score.stats.level25Count,
+        rare: score.stats.rareCount,
+        epic: score.stats.epicCount,
+        rules_version: score.rulesVersion,
+        collection_id: collectionId,
+        pet_ids: keys.petIDs,
+        species_keys: keys.species,
+        family_counts: shared.countSpeciesByFamily(check.pets),
+        created_at: new Date().toISOString()
+    };
+
+    // Same (or nearly the same) collection under another character: the player has to confirm the swap
+    const candidates = await findDuplicateCandidates(db, shared, keys);
+    if (candidates.error) {
+        return { status: 500, body: { status: 'error', errors: [candidates.error] } };
+    }
+
+    const others = candidates.entries.filter(e => !(e.player === player && e.realm === realm));
+    const duplicate = shared.findDuplicateCollection(keys, others);
+
+    if (duplicate) {
+        const existing = duplicate.entry;
+        const duplicateClaimant = await characterClaimant(db, existing.player, existing.realm);
+        if (duplicateClaimant && duplicateClaimant !== userId) {
+            return { status: 403, body: { status: 'rejected', errors: [
+                'This collection is already on the leaderboard as ' + existing.player + '-' + existing.realm + ', which is claimed by another player'
+            ] } };
+        }
+        if (!replaceDuplicate) {
+            return { status: 200, body: {
+                status: 'duplicate',
+                existing: { player: existing.player, realm: existing.realm, score: existing.score },
+                similarity: duplicate.similarity,
+                claim
+            } };
+        }
+        await db.from('Leaderboard').delete().eq('id', existing.id);
+    }
+
+    // Every accepted submission is kept for the weekly/monthly/season boards
+    const history = await db.from('leaderboard_history').insert({
+        player,
+        realm,
+        score: row.score,
+        pets: row.pets,
+        level25: row.level25,
+        rare: row.rare,
+        epic: row.epic,
+        rules_version: row.rules_version
+    });
+    if (history.error) console.error('History insert failed:', history.error.message);
+
+    const { data: existing } = await db
+        .from('Leaderboard')
+        .select('id, score, rules_version')
+        .eq('player', player)
+        .eq('realm', realm)
+        .maybeSingle();
+
+    // Scores from older rule sets aren't comparable, so they are always replaced
+    const sameRules = existing && (existing.rules_version || 1) === score.rulesVersion;
+    if (sameRules && existing.score >= score.total) {
+        return { status: 200, body: { status: 'not_higher', score: score.total, existingScore: existing.score, claim } };
+    }
+
+    const result = existing
+        ? await db.from('Leaderboard').update(row).eq('id', existing.id)
+        : await db.from('Leaderboard').insert(row);
+
+    if (result.error) {
+        return { status: 500, body: { status: 'error', errors: [result.error.message] } };
+    }
+
+    return { status: 200, body: { status: 'submitted', score: score.total, stats: score.stats, rulesVersion: score.rulesVersion, claim } };
+}
+
+if (import.meta.main) {
+    // Imported here so the module also loads under Node, where tests call processSubmission directly
+    const { createClient } = await import('npm:@supabase/supabase-js@2');
+    const shared = await loadShared(readSiteScript);
+
+    // Writes use the service role; the Leaderboard table is read-only for the anon key
+    const db = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'));
+
+    Deno.serve(async (req) => {
+        if (req.method === 'OPTIONS') return new Response('ok', { headers: CORS_HEADERS });
+
+        let submission;
+        try {
+            submission = await req.json();
+        } catch (err) {
+            submission = null;
+        }
+
+        // The caller's session decides which claimed characters it may write
+        const jwt = (req.headers.get('Authorization') || '').replace(/^Bearer /, '');
+        const { data: auth } = await db.auth.getUser(jwt);
+        const userId = auth && auth.user ? auth.user.id : null;
+
+        const { status, body } = await processSubmission(submission, db, shared, userId);
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS)
+        });
+    });
+}
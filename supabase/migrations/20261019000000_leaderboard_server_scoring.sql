@@ -0,0 +1,28 @@
+-- =====================================================
+-- TauriPets - Leaderboard writes only through submit-score
+-- =====================================================
+
+alter table "Leaderboard" add column if not exists rules_version integer not null default 1;
+
+alter table "Leaderboard" enable row level security;
+
+-- Anyone can read the leaderboard
+drop policy if exists "Leaderboard is public" on "Leaderboard";
+create policy "Leaderboard is public" on "Leaderboard" for select using (true);
+
+-- No insert/update/delete policies: the anon key can't write scores directly.
+-- The submit-score function writes with the service role, which bypasses RLS.
+-- Drop any write policies added before this migration, whatever they were named -
+-- the site used to insert, update and delete rows with the anon key.
+do $$
+declare
+    existing record;
+begin
+    for existing in
+        select policyname from pg_policies
+        where schemaname = 'public' and tablename = 'Leaderboard' and cmd <> 'SELECT'
+    loop
+        execute format('drop policy %I on public.%I', existing.policyname, 'Leaderboard');
+    end loop;
+end;
+$$;
@@ -0,0 +1,8 @@
+-- =====================================================
+-- TauriPets - Keys for duplicate collection detection
+-- =====================================================
+
+-- collection_id now holds a SHA-256 fingerprint; these hold the keys submit-score
+-- compares (Jaccard similarity) to spot the same account on another character
+alter table "Leaderboard" add column if not exists pet_ids text[] not null default '{}';
+alter table "Leaderboard" add column if not exists species_keys text[] not null default '{}';
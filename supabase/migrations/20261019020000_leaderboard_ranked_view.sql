@@ -0,0 +1,17 @@
+-- =====================================================
+-- TauriPets - Leaderboard with true global ranks
+-- =====================================================
+
+-- rank() runs before any filter the client adds, so a searched or realm-filtered
+-- page still shows each player's rank on the whole leaderboard (ties share a rank)
+create or replace view leaderboard_ranked
+with (security_invoker = true) as
+select
+    l.*,
+    rank() over (order by l.score desc) as rank
+from "Leaderboard" l;
+
+grant select on leaderboard_ranked to anon, authenticated;
+
+create index if not exists leaderboard_score_idx on "Leaderboard" (score desc, id);
+create index if not exists leaderboard_player_realm_idx on "Leaderboard" (player, realm);
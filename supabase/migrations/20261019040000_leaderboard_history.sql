@@ -0,0 +1,92 @@
+-- =====================================================
+-- TauriPets - Submission history for weekly/monthly/season boards
+-- =====================================================
+
+-- One row per accepted submission. The Leaderboard table keeps each player's best;
+-- this keeps every score so progress inside a time window can be measured.
+create table if not exists leaderboard_history (
+    id bigserial primary key,
+    player text not null,
+    realm text not null,
+    score integer not null,
+    pets integer not null default 0,
+    level25 integer not null default 0,
+    rare integer not null default 0,
+    epic integer not null default 0,
+    rules_version integer not null default 1,
+    submitted_at timestamptz not null default now()
+);
+
+create index if not exists leaderboard_history_player_idx on leaderboard_history (player, realm, submitted_at);
+create index if not exists leaderboard_history_submitted_idx on leaderboard_history (submitted_at);
+
+-- Readable by anyone, written only by submit-score (service role)
+alter table leaderboard_history enable row level security;
+drop policy if exists "Leaderboard history is public" on leaderboard_history;
+create policy "Leaderboard history is public" on leaderboard_history for select using (true);
+
+-- Players who submitted since a point in time, with their latest score and their gain.
+-- The gain starts from the last score before the window (or the first one inside it)
+-- and only compares scores made under the same rule set.
+-- board 'gainers' ranks by gain, 'score' by latest score. Seasons, months and weeks are
+-- just different "since" values, so nothing ever has to be deleted.
+create or replace function leaderboard_window(board text, since timestamptz, rules integer)
+returns table (
+    id bigint,
+    player text,
+    realm text,
+    score integer,
+    pets integer,
+    level25 integer,
+    rare integer,
+    epic integer,
+    rules_version integer,
+    created_at timestamptz,
+    start_score integer,
+    gain integer,
+    submissions bigint,
+    value numeric,
+    rank bigint
+)
+language sql stable security invoker
+as $$
+    with windowed as (
+        select h.*
+        from leaderboard_history h
+        where h.submitted_at >= since and h.rules_version = rules
+    ),
+    latest as (
+        select distinct on (w.player, w.realm) w.*
+        from windowed w
+        order by w.player, w.realm, w.submitted_at desc
+    ),
+    counts as (
+        select w.player, w.realm, count(*) as submissions
+        from windowed w
+        group by w.player, w.realm
+    ),
+    starts as (
+        select l.player, l.realm, coalesce(
+            (select h.score from leaderboard_history h
+             where h.player = l.player and h.realm = l.realm and h.rules_version = rules and h.submitted_at < since
+             order by h.submitted_at desc limit 1),
+            (select w.score from windowed w
+             where w.player = l.player and w.realm = l.realm
+             order by w.submitted_at asc limit 1)
+        ) as start_score
+        from latest l
+    ),
+    results as (
+        select l.id, l.player, l.realm, l.score, l.pets, l.level25, l.rare, l.epic, l.rules_version,
+            l.submitted_at as created_at, s.start_score, l.score - s.start_score as gain, c.submissions
+        from latest l
+        join starts s on s.player = l.player and s.realm = l.realm
+        join counts c on c.player = l.player and c.realm = l.realm
+    )
+    select r.*,
+        (case when board = 'gainers' then r.gain else r.score end)::numeric as value,
+        rank() over (order by case when board = 'gainers' then r.gain else r.score end desc) as rank
+    from results r;
+$$;
+
+grant execute on function leaderboard_window(text, timestamptz, integer) to anon, authenticated;
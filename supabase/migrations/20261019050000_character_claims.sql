@@ -0,0 +1,123 @@
+-- =====================================================
+-- TauriPets - Character claims
+-- =====================================================
+
+-- Who owns a character. A browser session claims a character by loading an addon export
+-- that carries a one-time token the site issued to it. From then on only that session
+-- can change the character's Leaderboard and collections rows.
+create table if not exists character_claims (
+    player text not null,
+    realm text not null,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    claimed_at timestamptz not null default now(),
+    primary key (player, realm)
+);
+
+-- Tokens handed out by issue_claim_token and pasted in game with /tpets claim
+create table if not exists claim_tokens (
+    token text primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null default now() + interval '1 day',
+    used_at timestamptz
+);
+
+-- No policies: both tables are only reached through the functions below and the service role
+alter table character_claims enable row level security;
+alter table claim_tokens enable row level security;
+
+-- Whether the current session may write a character: unclaimed, or claimed by this session
+create or replace function character_writable(p_player text, p_realm text)
+returns boolean
+language sql stable security definer set search_path = public
+as $$
+    select not exists (
+        select 1 from character_claims
+        where player = p_player and realm = p_realm and user_id is distinct from auth.uid()
+    );
+$$;
+
+-- 'mine', 'other' or 'unclaimed', for the current session
+create or replace function character_claim_status(p_player text, p_realm text)
+returns text
+language sql stable security definer set search_path = public
+as $$
+    select case
+        when c.user_id is null then 'unclaimed'
+        when c.user_id = auth.uid() then 'mine'
+        else 'other'
+    end
+    from (select 1) as one
+    left join character_claims c on c.player = p_player and c.realm = p_realm;
+$$;
+
+-- A fresh one-time token for the current session, valid for a day
+create or replace function issue_claim_token()
+returns text
+language plpgsql volatile security definer set search_path = public, extensions
+as $$
+declare
+    new_token text;
+begin
+    if auth.uid() is null then
+        raise exception 'Sign in before claiming a character';
+    end if;
+
+    new_token := 'TP-' || upper(encode(gen_random_bytes(5), 'hex'));
+    insert into claim_tokens (token, user_id) values (new_token, auth.uid());
+    return new_token;
+end;
+$$;
+
+-- Redeem a token found in a character's export. The first claim wins: a character
+-- claimed by another session can't be taken over. Returns 'claimed' or 'already_yours'.
+create or replace function redeem_claim_token(p_token text, p_player text, p_realm text)
+returns text
+language plpgsql volatile security definer set search_path = public
+as $$
+declare
+    claimant uuid;
+begin
+    update claim_tokens set used_at = now()
+    where token = upper(p_token) and user_id = auth.uid() and used_at is null and expires_at > now();
+    if not found then
+        raise exception 'Claim token is unknown, expired, already used or was issued to another browser';
+    end if;
+
+    select user_id into claimant from character_claims where player = p_player and realm = p_realm;
+    if claimant = auth.uid() then
+        return 'already_yours';
+    end if;
+
+    insert into character_claims (player, realm, user_id) values (p_player, p_realm, auth.uid())
+    on conflict (player, realm) do nothing;
+    if not found then
+        raise exception '%-% is already claimed by another player', p_player, p_realm;
+    end if;
+    return 'claimed';
+end;
+$$;
+
+-- Collections stay public to read. The write policy is restrictive so it also holds
+-- alongside any permissive policies the table already has.
+alter table collections enable row level security;
+
+drop policy if exists "Collections are public" on collections;
+create policy "Collections are public" on collections for select using (true);
+
+drop policy if exists "Collections are writable" on collections;
+create policy "Collections are writable" on collections for all using (true) with check (true);
+
+drop policy if exists "Claimed collections: insert" on collections;
+create policy "Claimed collections: insert" on collections as restrictive for insert
+    with check (character_writable(player, realm));
+
+drop policy if exists "Claimed collections: update" on collections;
+create policy "Claimed collections: update" on collections as restrictive for update
+    using (character_writable(player, realm)) with check (character_writable(player, realm));
+
+drop policy if exists "Claimed collections: delete" on collections;
+create policy "Claimed collections: delete" on collections as restrictive for delete
+    using (character_writable(player, realm));
+
+-- The Leaderboard is only written by submit-score, which checks claims itself
@@ -0,0 +1,134 @@
+-- =====================================================
+-- TauriPets - Character-bound claim tokens, claim expiry, release and override
+-- =====================================================
+
+-- A token is issued for one character and only claims that character
+alter table claim_tokens add column if not exists player text;
+alter table claim_tokens add column if not exists realm text;
+
+-- Tokens issued before this migration name no character and can't be redeemed any more
+update claim_tokens set used_at = now() where player is null and used_at is null;
+
+-- Claims lapse unless the claimant keeps submitting; submit-score pushes this forward
+alter table character_claims add column if not exists expires_at timestamptz not null default now() + interval '90 days';
+
+-- Whether the current session may write a character: unclaimed, lapsed, or claimed by this session
+create or replace function character_writable(p_player text, p_realm text)
+returns boolean
+language sql stable security definer set search_path = public
+as $$
+    select not exists (
+        select 1 from character_claims
+        where player = p_player and realm = p_realm
+          and expires_at > now() and user_id is distinct from auth.uid()
+    );
+$$;
+
+-- 'mine', 'other' or 'unclaimed', for the current session. Lapsed claims are unclaimed.
+create or replace function character_claim_status(p_player text, p_realm text)
+returns text
+language sql stable security definer set search_path = public
+as $$
+    select case
+        when c.user_id is null then 'unclaimed'
+        when c.user_id = auth.uid() then 'mine'
+        else 'other'
+    end
+    from (select 1) as one
+    left join character_claims c on c.player = p_player and c.realm = p_realm and c.expires_at > now();
+$$;
+
+-- A fresh one-time token for claiming one character, valid for a day
+drop function if exists issue_claim_token();
+create or replace function issue_claim_token(p_player text, p_realm text)
+returns text
+language plpgsql volatile security definer set search_path = public, extensions
+as $$
+declare
+    new_token text;
+begin
+    if auth.uid() is null then
+        raise exception 'Sign in before claiming a character';
+    end if;
+    if not character_writable(p_player, p_realm) then
+        raise exception '%-% is already claimed by another player', p_player, p_realm;
+    end if;
+    if (select count(*) from claim_tokens
+        where user_id = auth.uid() and used_at is null and expires_at > now()) >= 5 then
+        raise exception 'Too many open claim codes - use one or wait a day';
+    end if;
+
+    new_token := 'TP-' || upper(encode(gen_random_bytes(5), 'hex'));
+    insert into claim_tokens (token, user_id, player, realm) values (new_token, auth.uid(), p_player, p_realm);
+    return new_token;
+end;
+$$;
+
+-- Redeem a token found in a submitted collection. Only submit-score calls this, after it
+-- has validated the collection, so a token can't be redeemed from the browser console.
+-- The token must have been issued to p_user_id for this very character. A live claim by
+-- another session can't be taken over. Returns 'claimed' or 'already_yours'.
+drop function if exists redeem_claim_token(text, text, text);
+create or replace function redeem_claim_token(p_token text, p_user_id uuid, p_player text, p_realm text)
+returns text
+language plpgsql volatile security definer set search_path = public
+as $$
+declare
+    claimant uuid;
+begin
+    update claim_tokens set used_at = now()
+    where token = upper(p_token) and user_id = p_user_id
+      and player = p_player and realm = p_realm
+      and used_at is null and expires_at > now();
+    if not found then
+        raise exception 'Claim token is unknown, expired, already used, or was issued to another browser or character';
+    end if;
+
+    select user_id into claimant from character_claims
+    where player = p_player and realm = p_realm and expires_at > now();
+    if claimant = p_user_id then
+        return 'already_yours';
+    end if;
+    if claimant is not null then
+        raise exception '%-% is already claimed by another player', p_player, p_realm;
+    end if;
+
+    -- Replaces a lapsed claim
+    insert into character_claims (player, realm, user_id, claimed_at, expires_at)
+    values (p_player, p_realm, p_user_id, now(), now() + interval '90 days')
+    on conflict (player, realm) do update
+        set user_id = excluded.user_id, claimed_at = excluded.claimed_at, expires_at = excluded.expires_at;
+    return 'claimed';
+end;
+$$;
+
+revoke execute on function redeem_claim_token(text, uuid, text, text) from public, anon, authenticated;
+grant execute on function redeem_claim_token(text, uuid, text, text) to service_role;
+
+-- Give up a claim held by the current session. Returns whether there was one.
+create or replace function release_character_claim(p_player text, p_realm text)
+returns boolean
+language plpgsql volatile security definer set search_path = public
+as $$
+begin
+    delete from character_claims where player = p_player and realm = p_realm and user_id = auth.uid();
+    return found;
+end;
+$$;
+
+-- For maintainers settling a dispute once the real owner has proven the character in game:
+-- hand the claim to p_user_id, or drop it when p_user_id is null. Service role only.
+create or replace function override_character_claim(p_player text, p_realm text, p_user_id uuid)
+returns void
+language plpgsql volatile security definer set search_path = public
+as $$
+begin
+    delete from character_claims where player = p_player and realm = p_realm;
+    if p_user_id is not null then
+        insert into character_claims (player, realm, user_id) values (p_player, p_realm, p_user_id);
+    end if;
+end;
+$$;
+
+revoke execute on function override_character_claim(text, text, uuid) from public, anon, authenticated;
+grant execute on function override_character_claim(text, text, uuid) to service_role;
@@ -0,0 +1,12 @@
+-- =====================================================
+-- TauriPets - Indexes for the duplicate collection check
+-- =====================================================
+
+-- submit-score only fetches entries sharing a key with the submitted collection
+-- (pet_ids && ... / species_keys && ...) instead of reading the whole table
+create index if not exists leaderboard_pet_ids_idx on "Leaderboard" using gin (pet_ids);
+create index if not exists leaderboard_species_keys_idx on "Leaderboard" using gin (species_keys);
+
+-- Species-basis duplicates must be of a similar size, so submit-score also filters on this
+alter table "Leaderboard" add column if not exists species_count int generated always as (cardinality(species_keys)) stored;
+create index if not exists leaderboard_species_count_idx on "Leaderboard" (species_count);
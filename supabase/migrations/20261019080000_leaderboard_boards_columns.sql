@@ -0,0 +1,62 @@
+-- =====================================================
+-- TauriPets - Only display columns in leaderboard_boards
+-- =====================================================
+
+-- The view used to select l.*, so every page of every board also carried each entry's
+-- pet_ids, species_keys and family_counts. List the columns the site shows instead.
+-- create or replace can't drop columns from a view, so it is dropped and recreated.
+drop view if exists leaderboard_boards;
+
+create view leaderboard_boards
+with (security_invoker = true) as
+with owned as (
+    select distinct l.id, split_part(k, '-', 1) as species_id
+    from "Leaderboard" l
+    cross join unnest(l.species_keys) as k
+),
+owners as (
+    select species_id, count(*) as owner_count
+    from owned
+    group by species_id
+),
+rarity as (
+    select o.id, sum(1.0 / w.owner_count) as value
+    from owned o
+    join owners w using (species_id)
+    group by o.id
+),
+boards as (
+    select l.id, v.board, v.family, v.value
+    from "Leaderboard" l
+    left join rarity r on r.id = l.id
+    cross join lateral (values
+        ('score', 0, l.score::numeric),
+        ('pets', 0, l.pets::numeric),
+        ('level25', 0, l.level25::numeric),
+        ('epic', 0, l.epic::numeric),
+        ('rarity', 0, round(coalesce(r.value, 0), 2))
+    ) as v(board, family, value)
+    union all
+    select l.id, 'family', f.key::integer, f.value::numeric
+    from "Leaderboard" l
+    cross join lateral jsonb_each_text(l.family_counts) as f
+)
+select
+    l.id,
+    l.player,
+    l.realm,
+    l.score,
+    l.pets,
+    l.level25,
+    l.rare,
+    l.epic,
+    l.rules_version,
+    l.created_at,
+    b.board,
+    b.family,
+    b.value,
+    rank() over (partition by b.board, b.family order by b.value desc) as rank
+from boards b
+join "Leaderboard" l on l.id = b.id;
+
+grant select on leaderboard_boards to anon, authenticated;
@@ -0,0 +1,14 @@
+-- =====================================================
+-- TauriPets - Realms on the leaderboard
+-- =====================================================
+
+-- The realm filter only needs each realm once, so the database de-duplicates
+-- instead of the client downloading every row's realm
+create or replace view leaderboard_realms
+with (security_invoker = true) as
+select distinct realm
+from "Leaderboard";
+
+grant select on leaderboard_realms to anon, authenticated;
+
+create index if not exists leaderboard_realm_idx on "Leaderboard" (realm);
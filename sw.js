@@ -0,0 +1,81 @@
+// =====================================================
+// TauriPets - Service Worker (offline app shell)
+// =====================================================
+
+// Bump when the app shell list changes so old caches are dropped
+const CACHE_NAME = 'tauripets-v11';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'pet-database.js',
+    'pet-index.js',
+    'config.js',
+    'html.js',
+    'scoring-rules.js',
+    'sources.js',
+    'stats.js',
+    'validation.js',
+    'storage.js',
+    'supabase-functions.js',
+    'scoring.js',
+    'lua-parser.js',
+    'parsers.js',
+    'virtual-grid.js',
+    'search-query.js',
+    'ui.js',
+    'exports.js',
+    'history.js',
+    'profile.js',
+    'url-state.js',
+    'app.js',
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Serve from cache straight away and refresh the cached copy in the background
+ */
+function staleWhileRevalidate(request) {
+    return caches.open(CACHE_NAME).then(cache =>
+        cache.match(request, { ignoreSearch: true }).then(cached => {
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok) cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(() => cached);
+            return cached || network;
+        })
+    );
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // App shell and the supabase-js bundle; Supabase API calls always go to the network
+    if (url.origin === self.location.origin || url.hostname === 'cdn.jsdelivr.net') {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
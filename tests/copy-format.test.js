@@ -0,0 +1,116 @@
+// =====================================================
+// TauriPets - Copy Format Tests (v1, v2 plain & compressed round trips)
+// =====================================================
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// parsers.js and what it needs at load time, in index.html order
+const SCRIPTS = ['pet-database.js', 'pet-index.js', 'config.js', 'lua-parser.js', 'parsers.js'];
+
+const context = vm.createContext({
+    console: { log() {}, error() {} },
+    window: {},
+    Blob, Response, CompressionStream, DecompressionStream, TextEncoder, btoa, atob
+});
+SCRIPTS.forEach(file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file }));
+const { parseCopyFormat, buildCopyFormat, getDatabasePet } = vm.runInContext('({ parseCopyFormat, buildCopyFormat, getDatabasePet })', context);
+
+// Names with the format's separators, escapes and whitespace at either end
+const AWKWARD_NAMES = ['Nut ', ' Nut', 'Pipe|Colon:Percent%', 'Line\nBreak', '%41 not an escape', '\tTab\t', 'Ideographic　'];
+
+/**
+ * A collection whose custom names (the last field of a pet line) are the awkward names
+ */
+function awkwardCollection() {
+    return {
+        playerName: 'Nut:ty ',
+        realmName: '[EN] Evermoon',
+        exportDate: '2026-10-19',
+        ownedPets: AWKWARD_NAMES.length,
+        totalPets: 930,
+        pets: AWKWARD_NAMES.map((customName, i) => ({
+            speciesID: 39 + i,
+            speciesName: getDatabasePet(39 + i).name,
+            petType: getDatabasePet(39 + i).family,
+            level: 25 - i,
+            quality: 3,
+            health: 1500,
+            power: 250,
+            speed: 260,
+            favorite: i === 0,
+            breed: 'P/P',
+            petID: 'BattlePet-0-' + i,
+            customName
+        }))
+    };
+}
+
+[false, true].forEach(compress => {
+    test('v2 ' + (compress ? 'compressed' : 'plain') + ' codes round-trip awkward names', async () => {
+        const data = awkwardCollection();
+        const code = await buildCopyFormat(data, 1234, compress);
+        const parsed = await parseCopyFormat(code);
+
+        assert.strictEqual(parsed.formatVersion, 2);
+        assert.strictEqual(parsed.playerName, data.playerName);
+        assert.strictEqual(parsed.realmName, data.realmName);
+        assert.strictEqual(parsed.addonScore, 1234);
+        assert.deepStrictEqual(Array.from(parsed.pets, p => p.customName), AWKWARD_NAMES);
+        parsed.pets.forEach((pet, i) => {
+            const original = data.pets[i];
+            ['speciesID', 'speciesName', 'petType', 'level', 'quality', 'health', 'power', 'speed', 'favorite', 'breed', 'petID'].forEach(field => {
+                assert.strictEqual(pet[field], original[field], field + ' of pet ' + i);
+            });
+        });
+    });
+});
+
+test('v2 codes leave species names and families to the database', async () => {
+    const code = await buildCopyFormat(awkwardCollection(), 1234, false);
+    const firstPet = code.split('\n')[1];
+    assert.ok(!firstPet.includes('Mechanical Squirrel'), firstPet);
+    assert.strictEqual(firstPet.split('|').length, 10);
+
+    const unknown = await buildCopyFormat({ ...awkwardCollection(), pets: [{ speciesID: 999999, level: 1, quality: 1 }] }, 0, false);
+    const parsed = await parseCopyFormat(unknown);
+    assert.deepStrictEqual([parsed.pets[0].speciesName, parsed.pets[0].petType], ['Species #999999', 0]);
+});
+
+test('v2 codes survive indentation and trailing spaces added while pasting', async () => {
+    const code = await buildCopyFormat(awkwardCollection(), 1234, false);
+    const pasted = code.split('\n').map(line => '  ' + line + ' ').join('\r\n');
+    const parsed = await parseCopyFormat(pasted);
+    assert.deepStrictEqual(Array.from(parsed.pets, p => p.customName), AWKWARD_NAMES);
+});
+
+test('v2 codes with a changed line fail the checksum', async () => {
+    const code = await buildCopyFormat(awkwardCollection(), 1234, false);
+    await assert.rejects(parseCopyFormat(code.replace('|25|', '|24|')), /Checksum mismatch/);
+    await assert.rejects(parseCopyFormat(code.split('\n').slice(0, -1).join('\n')), /truncated/);
+});
+
+test('v1 addon codes parse', async () => {
+    const code = [
+        'TAURIPETS:Nutty:Evermoon:2026-10-19:2:930:321:TP-1A2B3C4D5E',
+        '39|Mechanical Squirrel|10|25|3|1546|273|273|1',
+        '  40|Bombay Cat|8|1|0|150|10|10|0  ',
+        ''
+    ].join('\r\n');
+    const parsed = await parseCopyFormat(code);
+
+    assert.strictEqual(parsed.formatVersion, 1);
+    assert.strictEqual(parsed.playerName, 'Nutty');
+    assert.strictEqual(parsed.claimToken, 'TP-1A2B3C4D5E');
+    assert.strictEqual(parsed.addonScore, 321);
+    assert.deepStrictEqual(Array.from(parsed.pets, p => [p.speciesID, p.speciesName, p.petType, p.level, p.quality, p.favorite]), [
+        [39, 'Mechanical Squirrel', 10, 25, 3, true],
+        [40, 'Bombay Cat', 8, 1, 0, false]
+    ]);
+});
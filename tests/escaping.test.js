@@ -0,0 +1,180 @@
+// =====================================================
+// TauriPets - Escaping Tests (hostile names through every view)
+// =====================================================
+// Loads index.html and the site's scripts into jsdom, feeds names built to break out of
+// markup through each renderer and checks that nothing but text comes out.
+// Run with: npm test
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// One breaks out of a double-quoted attribute or text, the other out of a single-quoted attribute
+const HOSTILE_NAMES = ['"><img src=x onerror=alert(1)>', "' onmouseover='x"];
+
+// Elements no renderer ever outputs, so finding one means markup got through
+const INJECTED_TAGS = ['IMG', 'SCRIPT', 'IFRAME', 'OBJECT', 'EMBED'];
+
+let dom;
+let window;
+
+/**
+ * Run code in the page's global scope, where the site's scripts live
+ */
+function run(code) {
+    return vm.runInContext(code, dom.getInternalVMContext());
+}
+
+/**
+ * Load the page with every local script from index.html except app.js, which would start the app
+ */
+function loadPage() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    dom = new JSDOM(html, { runScripts: 'outside-only', url: 'https://tauripets.test/' });
+    window = dom.window;
+    window.alert = () => {};
+    window.console.log = () => {};
+
+    const scripts = [...html.matchAll(/<script src="([\w-]+\.js)"><\/script>/g)].map(m => m[1]);
+    scripts.filter(file => file !== 'app.js').forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), dom.getInternalVMContext(), { filename: file });
+    });
+}
+
+/**
+ * Assert that rendered markup holds no injected elements or event-handler attributes
+ */
+function assertNoInjection(roots, label) {
+    roots.forEach(root => {
+        [root, ...root.querySelectorAll('*')].forEach(el => {
+            assert.ok(!INJECTED_TAGS.includes(el.tagName), label + ': injected <' + el.tagName.toLowerCase() + '> in #' + root.id);
+            [...el.attributes].forEach(attr => {
+                assert.ok(!attr.name.startsWith('on'), label + ': injected ' + attr.name + ' attribute in #' + root.id);
+            });
+        });
+    });
+}
+
+/**
+ * Assert that the name still shows up, as text, in one of the rendered roots
+ */
+function assertShowsName(roots, name, label) {
+    assert.ok(roots.some(root => root.textContent.includes(name)), label + ': name not rendered as text');
+}
+
+/**
+ * Collection pets as a shared collection could hold them: valid numbers, any strings
+ */
+function hostilePets(name) {
+    return [39, 40, 41, 42, 43].map((speciesID, i) => ({
+        speciesID,
+        speciesName: name,
+        customName: name,
+        breed: name,
+        petType: (i % 10) + 1,
+        level: 25 - i,
+        quality: 3,
+        health: 1500,
+        power: 250,
+        speed: 250,
+        petID: 'BattlePet-0-' + i
+    }));
+}
+
+/**
+ * Test one hostile name through one view
+ */
+function hostileTest(view, renderView) {
+    HOSTILE_NAMES.forEach(name => {
+        test(view + ' escapes ' + name, async () => {
+            const roots = (await renderView(name)).map(id => window.document.getElementById(id));
+            assertNoInjection(roots, view);
+            assertShowsName(roots, name, view);
+        });
+    });
+}
+
+before(loadPage);
+
+hostileTest('renderPetCard', (name) => {
+    // Every field, numbers included, since other players' collections can hold anything
+    const card = window.document.getElementById('myPetGrid');
+    card.innerHTML = run('renderPetCard')({
+        speciesName: name, customName: name, breed: name, family: name, favorite: true,
+        quality: name, level: name, health: name, power: name, speed: name
+    });
+    return ['myPetGrid'];
+});
+
+hostileTest('renderLeaderboard', async (name) => {
+    window.fetchLeaderboard = async () => ({
+        total: 1,
+        entries: [{ rank: 1, player: name, realm: name, value: 1234, score: 1234, pets: 120, level25: 40, rare: 80, epic: 5, rules_version: 2, created_at: '2026-10-01T00:00:00Z' }]
+    });
+    await run('renderLeaderboard')();
+    return ['leaderboardBody'];
+});
+
+hostileTest('viewPlayerCollection', async (name) => {
+    window.loadCollectionFromSupabase = async () => ({ pets: hostilePets(name), score: 1234, updated_at: '2026-10-01T00:00:00Z' });
+    run('ownedSpeciesIDs = new Set([1])');
+    await run('viewPlayerCollection')(name, name);
+    return ['modalTitle', 'modalBody'];
+});
+
+hostileTest('showMissingPetsFromPlayer', async (name) => {
+    window.loadCollectionFromSupabase = async () => ({ pets: hostilePets(name), score: 1234, updated_at: '2026-10-01T00:00:00Z' });
+    run('ownedSpeciesIDs = new Set([1])');
+    await run('showMissingPetsFromPlayer')(name, name);
+    return ['modalTitle', 'modalBody'];
+});
+
+hostileTest('openPlayerProfile', async (name) => {
+    window.fetchPlayerProfile = async () => ({
+        collection: { pets: hostilePets(name), updated_at: '2026-10-01T00:00:00Z' },
+        entry: { rank: 3 },
+        history: [{ submitted_at: '2026-10-01T00:00:00Z', rules_version: 2, score: 1000, pets: 100, level25: 30 }]
+    });
+    window.location.hash = run('profileHash')(name, name);
+    await run('openPlayerProfile')(name, name);
+    return ['profileEmpty', 'profileName', 'profileMeta', 'profileFamilies', 'profileAchievements', 'profileHistory', 'profilePetGrid'];
+});
+
+hostileTest('renderHistoryDiff', (name) => {
+    const snapshot = (pets, score) => ({ score, uniqueCount: Object.keys(pets).length, level25Count: 0, pets });
+    window.historySnapshotsForTest = [
+        snapshot({ 39: { level: 1, quality: 1, name }, 40: { level: 5, quality: 1, name } }, 100),
+        snapshot({ 39: { level: 10, quality: 3, name }, 41: { level: 1, quality: 2, name } }, 200)
+    ];
+    run('historySnapshots = historySnapshotsForTest');
+    window.document.getElementById('historyFrom').innerHTML = '<option value="0" selected>From</option>';
+    window.document.getElementById('historyTo').innerHTML = '<option value="1" selected>To</option>';
+    run('renderHistoryDiff')();
+    return ['historyDiff'];
+});
+
+hostileTest('renderPersonalBest', (name) => {
+    const scoreData = run('calculateScore')(hostilePets(name));
+    window.localStorage.clear();
+    run('savePersonalBest')(scoreData, name, name);
+    run('savePersonalBest')(scoreData, 'Other', name);
+    run('selectPersonalBest')(name + '-' + name);
+    window.playerDataForTest = { playerName: 'Other', realmName: name, pets: hostilePets(name) };
+    run('playerData = playerDataForTest; currentScoreData = null');
+    run('renderPersonalBest')();
+    return ['personalBestContent'];
+});
+
+hostileTest('displayScore achievements', (name) => {
+    const scoreData = run('calculateScore')(hostilePets(name));
+    scoreData.unlockedAchievements = [{ id: 'hostile', name, desc: name, bonus: 10 }];
+    window.playerDataForTest = { playerName: name, realmName: name, pets: hostilePets(name) };
+    run('playerData = playerDataForTest');
+    run('displayScore')(scoreData);
+    return ['achievementList'];
+});
@@ -0,0 +1,124 @@
+// =====================================================
+// TauriPets - Lua Parser Tests (SavedVariables parsing and errors)
+// =====================================================
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'lua-parser.js'), 'utf8'), context, { filename: 'lua-parser.js' });
+const parseLua = vm.runInContext('parseLua', context);
+
+/**
+ * Parse and copy the result into this realm, so deepStrictEqual sees plain arrays and objects
+ */
+function parse(source) {
+    return JSON.parse(JSON.stringify(parseLua(source)));
+}
+
+/**
+ * Assert that source fails to parse at line:column with a message matching pattern
+ */
+function assertParseError(source, line, column, pattern) {
+    assert.throws(() => parseLua(source), err => {
+        assert.match(err.message, pattern);
+        assert.match(err.message, new RegExp('\\(line ' + line + ', column ' + column + '\\)$'));
+        assert.deepStrictEqual([err.line, err.column], [line, column]);
+        return true;
+    });
+}
+
+test('string escapes', () => {
+    const result = parse([
+        'a = "tab\\tnew\\nline"',
+        'b = \'quote \\" and \\\' and \\\\\'',
+        'c = "\\65\\066\\0671"',
+        'd = "\\x41\\x62"',
+        'e = "line\\',
+        'continues"',
+        'f = [[long "raw" \\n string]]',
+        'g = [==[',
+        'has ]] inside]==]'
+    ].join('\n'));
+
+    assert.deepStrictEqual(result, {
+        a: 'tab\tnew\nline',
+        b: 'quote " and \' and \\',
+        c: 'ABC1',
+        d: 'Ab',
+        e: 'line\ncontinues',
+        f: 'long "raw" \\n string',
+        g: 'has ]] inside'
+    });
+});
+
+test('nested tables', () => {
+    const result = parse([
+        'TauriPetsDB = {',
+        '    ["player"] = "Nutty",',
+        '    pets = {',
+        '        { speciesID = 39, level = 25, stats = { 1546, 273, 273 } },',
+        '        { speciesID = 40, level = 1; stats = {}; },',
+        '    },',
+        '    [1] = "first", [2] = "second",',
+        '    options = { sparse = { [1] = true, [3] = false }, negative = -1.5e2, hex = 0x1F, missing = nil },',
+        '}'
+    ].join('\n'));
+
+    assert.deepStrictEqual(result, {
+        TauriPetsDB: {
+            1: 'first',
+            2: 'second',
+            player: 'Nutty',
+            pets: [
+                { speciesID: 39, level: 25, stats: [1546, 273, 273] },
+                { speciesID: 40, level: 1, stats: {} }
+            ],
+            options: { sparse: { 1: true, 3: false }, negative: -150, hex: 31 }
+        }
+    });
+});
+
+test('multi-line input with comments and several globals', () => {
+    const result = parse([
+        '-- SavedVariables written by the addon',
+        'TauriPetsDB = {',
+        '    count = 2, -- trailing comment',
+        '    --[[ a block',
+        '         comment ]]',
+        '    names = {',
+        '        "Squirrel",',
+        '',
+        '        "Cat",',
+        '    },',
+        '}',
+        'TauriPetsSettings = {',
+        '\tcompact = true,',
+        '}',
+        ''
+    ].join('\r\n'));
+
+    assert.deepStrictEqual(result, {
+        TauriPetsDB: { count: 2, names: ['Squirrel', 'Cat'] },
+        TauriPetsSettings: { compact: true }
+    });
+});
+
+test('malformed input reports the line and column', () => {
+    assertParseError('TauriPetsDB = {\n    level = 25\n    quality = 3,\n}', 3, 5, /Expected "," or "}" but found "quality"/);
+    assertParseError('a = {\n  name = "Nutty\n}', 2, 10, /Unfinished string/);
+    assertParseError('a = "bad \\q escape"', 1, 10, /Invalid escape sequence \\q/);
+    assertParseError('a = "\\300"', 1, 6, /Decimal escape too large/);
+    assertParseError('a = {\n  x = 12abc\n}', 2, 7, /Malformed number/);
+    assertParseError('a = {\n\n  @\n}', 3, 3, /Unexpected character "@"/);
+    assertParseError('a = [[never closed', 1, 5, /Unfinished long string or comment/);
+    assertParseError('a = {\n  [nil] = 1\n}', 2, 3, /Table index is nil/);
+    assertParseError('a = {\n  1,\n', 3, 1, /Unexpected end of file/);
+    assertParseError('a = {}\n= 5', 2, 1, /Expected "name" but found "="/);
+});
@@ -0,0 +1,71 @@
+// =====================================================
+// TauriPets - Offline Queue Tests (replaying queued writes)
+// =====================================================
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * supabase-functions.js over an in-memory localStorage, with saving done by save(player)
+ */
+function loadQueue(save) {
+    const store = {};
+    const context = vm.createContext({
+        console: { log() {}, error() {} },
+        navigator: { onLine: true },
+        localStorage: {
+            getItem: key => (key in store ? store[key] : null),
+            setItem: (key, value) => { store[key] = String(value); }
+        }
+    });
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'supabase-functions.js'), 'utf8'), context, { filename: 'supabase-functions.js' });
+    context.saveCollectionToSupabase = save;
+    context.showSyncStatus = () => {};
+    return context;
+}
+
+/**
+ * Keys of the collection writes still queued
+ */
+function queuedKeys(context) {
+    return Array.from(context.loadOfflineQueue(), item => item.key);
+}
+
+test('writes queued while the queue replays are kept', async () => {
+    const context = loadQueue(async (player) => {
+        if (player === 'Nutty') context.queueOfflineWrite('collection', 'Acorn-Evermoon', { player: 'Acorn', realm: 'Evermoon', pets: [], score: 1 });
+        return true;
+    });
+    context.queueOfflineWrite('collection', 'Nutty-Evermoon', { player: 'Nutty', realm: 'Evermoon', pets: [], score: 1 });
+
+    await context.replayOfflineQueue();
+    assert.deepStrictEqual(queuedKeys(context), ['Acorn-Evermoon']);
+});
+
+test('a write queued again while its older copy replays is kept', async () => {
+    const context = loadQueue(async () => {
+        context.queueOfflineWrite('collection', 'Nutty-Evermoon', { player: 'Nutty', realm: 'Evermoon', pets: [], score: 2 });
+        return true;
+    });
+    context.queueOfflineWrite('collection', 'Nutty-Evermoon', { player: 'Nutty', realm: 'Evermoon', pets: [], score: 1 });
+    const first = context.loadOfflineQueue()[0].queuedAt;
+    while (Date.now() === first) { /* the newer copy needs a later queuedAt */ }
+
+    await context.replayOfflineQueue();
+    assert.deepStrictEqual(Array.from(context.loadOfflineQueue(), item => item.payload.score), [2]);
+});
+
+test('failed writes stay queued and sent ones leave', async () => {
+    const context = loadQueue(async (player) => player === 'Nutty');
+    context.queueOfflineWrite('collection', 'Nutty-Evermoon', { player: 'Nutty', realm: 'Evermoon', pets: [], score: 1 });
+    context.queueOfflineWrite('collection', 'Acorn-Evermoon', { player: 'Acorn', realm: 'Evermoon', pets: [], score: 1 });
+
+    await context.replayOfflineQueue();
+    assert.deepStrictEqual(queuedKeys(context), ['Acorn-Evermoon']);
+});
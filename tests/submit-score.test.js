@@ -0,0 +1,170 @@
+// =====================================================
+// TauriPets - submit-score Tests (validation & scoring the server does)
+// =====================================================
+// Loads the edge function under Node with the shared site scripts read from disk.
+// Run with: npm test
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+const ROOT = path.join(__dirname, '..');
+
+let fn;
+let shared;
+
+before(async () => {
+    fn = await import(pathToFileURL(path.join(ROOT, 'supabase/functions/submit-score/index.js')).href);
+    shared = await fn.loadShared(file => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+});
+
+/**
+ * Stand-in for the Supabase client over in-memory tables, with the part of the
+ * query surface submit-score uses. Filters apply to select, update and delete alike.
+ */
+function fakeDb(tables) {
+    const from = (name) => {
+        const rows = tables[name] = tables[name] || [];
+        const filters = [];
+        let action = 'select', payload = null;
+
+        const matches = () => rows.filter(row => filters.every(filter => filter(row)));
+        const run = () => {
+            const found = matches();
+            if (action === 'update') found.forEach(row => Object.assign(row, payload));
+            if (action === 'delete') found.forEach(row => rows.splice(rows.indexOf(row), 1));
+            return { data: action === 'select' ? found : null, error: null };
+        };
+
+        const query = {
+            select() { return query; },
+            update(values) { action = 'update'; payload = values; return query; },
+            delete() { action = 'delete'; return query; },
+            insert(row) {
+                rows.push(Object.assign({ id: rows.length + 1 }, row));
+                return Promise.resolve({ data: null, error: null });
+            },
+            eq(column, value) {
+                filters.push(row => (value === '{}' ? row[column].length === 0 : row[column] === value));
+                return query;
+            },
+            gte(column, value) { filters.push(row => columnValue(row, column) >= value); return query; },
+            lte(column, value) { filters.push(row => columnValue(row, column) <= value); return query; },
+            overlaps(column, values) { filters.push(row => (row[column] || []).some(v => values.includes(v))); return query; },
+            maybeSingle() { return Promise.resolve({ data: matches()[0] || null, error: null }); },
+            then(resolve, reject) { return Promise.resolve(run()).then(resolve, reject); }
+        };
+        return query;
+    };
+
+    // species_count is a generated column in the database
+    const columnValue = (row, column) => (column === 'species_count' ? row.species_keys.length : row[column]);
+
+    return {
+        from,
+        rpc: async () => ({ data: null, error: { message: 'Claim token is unknown' } })
+    };
+}
+
+/**
+ * A valid collection of count pets; tag makes the petIDs unique to one account
+ */
+function collection(count, tag, level = 10) {
+    return databaseSpecies().slice(0, count).map((speciesID, i) => ({
+        speciesID, level, quality: 3, petID: 'BattlePet-0-' + tag + i
+    }));
+}
+
+/**
+ * Species ids from pet-database.js, optionally of one family
+ */
+function databaseSpecies(family) {
+    const source = fs.readFileSync(path.join(ROOT, 'pet-database.js'), 'utf8');
+    return [...source.matchAll(/speciesID: (\d+), name: "[^"]*", family: (\d+)/g)]
+        .filter(m => !family || Number(m[2]) === family)
+        .map(m => Number(m[1]));
+}
+
+test('a forged petType does not count towards families', () => {
+    const beasts = databaseSpecies(8).slice(0, 10);
+    const pets = beasts.map(speciesID => ({ speciesID, level: 1, quality: 1, petType: 8 }));
+    const forged = beasts.map((speciesID, i) => ({ speciesID, level: 1, quality: 1, petType: i + 1 }));
+
+    const real = shared.calculateScore(shared.validateSubmission(pets).pets);
+    const check = shared.validateSubmission(forged);
+    assert.ok(check.valid);
+
+    const score = shared.calculateScore(check.pets);
+    assert.strictEqual(score.stats.familyCount, 1);
+    assert.ok(!score.unlockedAchievements.some(ach => ach.stat === 'familyCount'));
+    assert.strictEqual(score.total, real.total);
+});
+
+test('an invalid payload is rejected', async () => {
+    const db = fakeDb({});
+    const badName = await fn.processSubmission({ player: '<b>', realm: 'Evermoon', pets: collection(5, 'a') }, db, shared);
+    assert.strictEqual(badName.status, 400);
+
+    const badPets = await fn.processSubmission({
+        player: 'Nutty', realm: 'Evermoon', pets: [{ speciesID: 39, level: 30, quality: 9 }]
+    }, db, shared);
+    assert.strictEqual(badPets.status, 422);
+    assert.strictEqual(badPets.body.status, 'rejected');
+
+    const missing = await fn.processSubmission(null, db, shared);
+    assert.strictEqual(missing.body.status, 'rejected');
+});
+
+test('a valid submission is accepted and written', async () => {
+    const tables = {};
+    const result = await fn.processSubmission({ player: 'Nutty', realm: 'Evermoon', pets: collection(60, 'a') }, fakeDb(tables), shared);
+
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.status, 'submitted');
+    assert.strictEqual(tables.Leaderboard.length, 1);
+    assert.strictEqual(tables.Leaderboard[0].score, result.body.score);
+    assert.strictEqual(tables.leaderboard_history.length, 1);
+});
+
+test('a score that is not higher is turned down', async () => {
+    const tables = {};
+    const db = fakeDb(tables);
+    await fn.processSubmission({ player: 'Nutty', realm: 'Evermoon', pets: collection(60, 'a') }, db, shared);
+    const lower = await fn.processSubmission({ player: 'Nutty', realm: 'Evermoon', pets: collection(60, 'a', 5) }, db, shared);
+
+    assert.strictEqual(lower.body.status, 'not_higher');
+    assert.strictEqual(tables.Leaderboard.length, 1);
+    assert.strictEqual(tables.Leaderboard[0].score, lower.body.existingScore);
+});
+
+test('the same collection under another character is a duplicate', async () => {
+    const tables = {};
+    const db = fakeDb(tables);
+    await fn.processSubmission({ player: 'Nutty', realm: 'Evermoon', pets: collection(60, 'a') }, db, shared);
+
+    const duplicate = await fn.processSubmission({ player: 'Squirrel', realm: 'Evermoon', pets: collection(60, 'a') }, db, shared);
+    assert.strictEqual(duplicate.body.status, 'duplicate');
+    assert.deepStrictEqual([duplicate.body.existing.player, duplicate.body.existing.realm], ['Nutty', 'Evermoon']);
+
+    const other = await fn.processSubmission({ player: 'Acorn', realm: 'Evermoon', pets: collection(60, 'b') }, db, shared);
+    assert.strictEqual(other.body.status, 'submitted');
+
+    const replaced = await fn.processSubmission({ player: 'Squirrel', realm: 'Evermoon', pets: collection(60, 'a'), replaceDuplicate: true }, db, shared);
+    assert.strictEqual(replaced.body.status, 'submitted');
+    assert.deepStrictEqual(tables.Leaderboard.map(row => row.player).sort(), ['Acorn', 'Squirrel']);
+});
+
+test('a character claimed by another session is turned down', async () => {
+    const expires = new Date(Date.now() + 60000).toISOString();
+    const tables = { character_claims: [{ player: 'Nutty', realm: 'Evermoon', user_id: 'owner', expires_at: expires }] };
+    const db = fakeDb(tables);
+
+    const other = await fn.processSubmission({ player: 'Nutty', realm: 'Evermoon', pets: collection(60, 'a') }, db, shared, 'someone-else');
+    assert.strictEqual(other.status, 403);
+    assert.strictEqual(tables.Leaderboard, undefined);
+
+    const owner = await fn.processSubmission({ player: 'Nutty', realm: 'Evermoon', pets: collection(60, 'a') }, db, shared, 'owner');
+    assert.strictEqual(owner.body.status, 'submitted');
+});
@@ -31,12 +31,189 @@ function showCopyFeedback() {
     setTimeout(() => f.classList.remove('show'), 2500);
 }
 
+/**
+ * Show what happened to the queued writes replayed after reconnecting, until dismissed
+ */
+function showSyncStatus(lines) {
+    if (lines.length === 0) return;
+
+    const status = document.getElementById('syncStatus');
+    status.innerHTML = '<button class="sync-status-close" title="Dismiss"' + actionAttrs('dismiss-sync-status') + '>✕</button>' +
+        '<strong>📡 Back online - sent what was queued while offline</strong>' +
+        '<ul>' + lines.map(line => '<li>' + escapeHtml(line) + '</li>').join('') + '</ul>';
+    status.classList.add('visible');
+}
+
+/**
+ * Hide the sync status line
+ */
+function hideSyncStatus() {
+    document.getElementById('syncStatus').classList.remove('visible');
+}
+
+/**
+ * Copy the loaded collection as a v2 share code
+ */
+async function copyShareCode(compress) {
+    if (!playerData) {
+        alert('Please load your collection first!');
+        return;
+    }
+
+    try {
+        const score = currentScoreData ? currentScoreData.total : 0;
+        const code = await buildCopyFormat(playerData, score, compress);
+        await navigator.clipboard.writeText(code);
+
+        document.getElementById('copyFeedback').textContent = '✓ Copied to clipboard! (' + code.length.toLocaleString() + ' characters)';
+        showCopyFeedback();
+    } catch (err) {
+        alert('Could not copy share code: ' + err.message);
+    }
+}
+
+/**
+ * Show a picker for SavedVariables files holding several characters.
+ * onPick receives the chosen index, or 'all' to load every character.
+ */
+function showCharacterPicker(characters, onPick) {
+    const modal = document.getElementById('collectionModal');
+    const modalBody = document.getElementById('modalBody');
+
+    document.getElementById('modalTitle').textContent = 'Choose a Character';
+    modalBody.innerHTML = '';
+
+    const picker = document.createElement('div');
+    picker.className = 'character-picker';
+    picker.innerHTML = '<p>This file holds ' + characters.length + ' characters. Pick one, or load them all and switch between them.</p>';
+
+    const addOption = (label, meta, value) => {
+        const btn = document.createElement('button');
+        btn.className = 'character-option';
+        btn.innerHTML = '<span class="character-name"></span><span class="character-meta"></span>';
+        btn.querySelector('.character-name').textContent = label;
+        btn.querySelector('.character-meta').textContent = meta;
+        btn.addEventListener('click', () => {
+            closeModal();
+            onPick(value);
+        });
+        picker.appendChild(btn);
+    };
+
+    characters.forEach((c, index) => {
+        addOption(c.playerName + '-' + c.realmName, c.pets.length + ' pets' + (c.exportDate ? ' • ' + c.exportDate : ''), index);
+    });
+    addOption('📚 Load all characters', 'Switch between them under your character name', 'all');
+
+    modalBody.appendChild(picker);
+    modal.style.display = 'flex';
+}
+
+/**
+ * Render the character switcher when several profiles are loaded
+ */
+function renderProfileSwitcher() {
+    const switcher = document.getElementById('profileSwitcher');
+    const select = document.getElementById('profileSelect');
+
+    if (characterProfiles.length < 2) {
+        switcher.classList.remove('visible');
+        return;
+    }
+
+    select.innerHTML = '';
+    characterProfiles.forEach((c, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = c.playerName + '-' + c.realmName;
+        option.selected = c === playerData;
+        select.appendChild(option);
+    });
+
+    switcher.classList.add('visible');
+}
+
+/**
+ * Show who owns the loaded character, with a claim button while nobody does
+ * and a release button for the claimant
+ */
+async function renderClaimStatus() {
+    const status = document.getElementById('claimStatus');
+    if (!playerData || !navigator.onLine) {
+        status.innerHTML = '';
+        return;
+    }
+
+    const key = collectionKey(playerData);
+    const claim = await fetchClaimStatus(playerData.playerName, playerData.realmName);
+    if (!playerData || collectionKey(playerData) !== key) return;
+
+    if (claim === 'mine') {
+        status.innerHTML = '<span class="claim-badge mine" title="Only this browser can update this character on the leaderboard">🔐 Claimed by you</span> ' +
+            '<button class="claim-release"' + actionAttrs('release-claim') + '>Release</button>';
+    } else if (claim === 'other') {
+        status.innerHTML = '<span class="claim-badge other" title="Only the claimant can update this character on the leaderboard">🔒 Claimed by another player</span>';
+    } else if (claim === 'unclaimed' && playerData.claimToken) {
+        status.innerHTML = '<span class="claim-badge pending" title="The claim code in this export is redeemed with your score">🔑 Submit your score to finish claiming</span>';
+    } else if (claim === 'unclaimed') {
+        status.innerHTML = '<button class="share-btn"' + actionAttrs('claim-character') + '>🔓 Claim this character</button>';
+    } else {
+        status.innerHTML = '';
+    }
+}
+
+/**
+ * Release this browser's claim on the loaded character
+ */
+async function releaseCharacterClaim() {
+    if (!playerData) return;
+    if (!confirm('Release your claim on ' + playerData.playerName + '-' + playerData.realmName + '?\n\nAnyone can claim it again afterwards.')) return;
+
+    try {
+        await releaseClaim(playerData.playerName, playerData.realmName);
+    } catch (err) {
+        alert('Could not release the claim: ' + err.message);
+    }
+    renderClaimStatus();
+}
+
+/**
+ * Issue a claim token for the loaded character and explain how to use it in game
+ */
+async function startCharacterClaim() {
+    if (!playerData) return;
+
+    let token;
+    try {
+        token = await issueClaimToken(playerData.playerName, playerData.realmName);
+    } catch (err) {
+        alert('Could not start a claim: ' + err.message);
+        return;
+    }
+
+    const name = escapeHtml(playerData.playerName + '-' + playerData.realmName);
+    document.getElementById('modalTitle').textContent = '🔐 Claim ' + playerData.playerName + '-' + playerData.realmName;
+    document.getElementById('modalBody').innerHTML = '<div class="claim-steps">' +
+        '<p>Your claim code works once, only for this character, and expires in 24 hours:</p>' +
+        '<div class="claim-token">' + escapeHtml(token) + '</div>' +
+        '<ol>' +
+        '<li>Log in to <strong>' + name + '</strong> and type <strong>/tpets claim ' + escapeHtml(token) + '</strong></li>' +
+        '<li>Export again with <strong>/tpets copy</strong> (or <strong>/reload</strong> and upload your SavedVariables file)</li>' +
+        '<li>Load the export here and submit your score - the claim completes with the submission</li>' +
+        '</ol>' +
+        '<p class="claim-note">Claims belong to this browser. Once claimed, only this browser can update the character\'s leaderboard entry and saved collection. ' +
+        'A claim lapses 90 days after your last submission, and you can release it at any time.</p>' +
+        '</div>';
+    document.getElementById('collectionModal').style.display = 'flex';
+}
+
 /**
  * Render personal best card
  */
 function renderPersonalBest() {
     const card = document.getElementById('personalBestCard');
     const content = document.getElementById('personalBestContent');
+    const store = loadPersonalBests();
     const pb = loadPersonalBest();
 
     if (!pb) {
@@ -45,18 +222,119 @@ function renderPersonalBest() {
         return;
     }
 
+    const key = pb.player + '-' + pb.realm;
+    const characterKeys = Object.keys(store.characters).sort();
+
+    // Character switcher when bests exist for more than one character
+    let switcherHTML = '';
+    if (characterKeys.length > 1) {
+        switcherHTML = '<div class="pb-switcher"><select id="pbCharacterSelect">' +
+            characterKeys.map(k =>
+                '<option value="' + escapeHtml(k) + '"' + (k === key ? ' selected' : '') + '>' + escapeHtml(k) + ' (' + store.characters[k].score.toLocaleString() + ')</option>'
+            ).join('') +
+            '</select></div>';
+    }
+
+    // Compare the latest load of this character against its best
+    let comparisonHTML = '';
+    if (pb.lastScore !== undefined && pb.lastTimestamp) {
+        if (pb.lastTimestamp === pb.timestamp) {
+            comparisonHTML = '<div class="pb-compare new-best">🎉 New personal best!' +
+                (pb.previousBestScore !== null && pb.previousBestScore !== undefined
+                    ? ' +' + (pb.score - pb.previousBestScore).toLocaleString() + ' over your previous best'
+                    : '') + '</div>';
+        } else if (pb.lastScore === pb.score) {
+            comparisonHTML = '<div class="pb-compare">Last load (' + pb.lastDate + ') matches your best</div>';
+        } else {
+            comparisonHTML = '<div class="pb-compare below">Last load (' + pb.lastDate + '): ' + pb.lastScore.toLocaleString() +
+                ' • ' + (pb.score - pb.lastScore).toLocaleString() + ' below your best</div>';
+        }
+    }
+
+    const loadedKey = playerData ? playerData.playerName + '-' + playerData.realmName : '';
+
     card.classList.remove('empty');
     content.innerHTML =
+        switcherHTML +
         '<div class="pb-score">' + pb.score.toLocaleString() + '</div>' +
+        comparisonHTML +
         '<div class="pb-details">' +
         '<div class="pb-detail"><div class="value">' + pb.pets + '</div><div class="label">Unique Pets</div></div>' +
         '<div class="pb-detail"><div class="value">' + pb.level25 + '</div><div class="label">Level 25</div></div>' +
         '<div class="pb-detail"><div class="value">' + (pb.rare || 0) + '</div><div class="label">Rare+</div></div>' +
         '</div>' +
-        '<div class="pb-meta">' + pb.player + '-' + pb.realm + ' • Best: ' + pb.date + '</div>' +
+        '<div class="pb-meta">' + escapeHtml(key) + ' • Best: ' + pb.date + ' • ' + characterKeys.length + ' character' + (characterKeys.length === 1 ? '' : 's') + ' tracked</div>' +
         '<div class="submit-section">' +
-        '<button class="submit-btn primary" onclick="submitScore()" ' + (!currentScoreData ? 'disabled' : '') + '>🏆 Submit Score to Leaderboard</button>' +
+        '<button class="submit-btn primary"' + actionAttrs('submit-score') + (!currentScoreData ? ' disabled' : '') + '>🏆 Submit ' +
+        (loadedKey && loadedKey !== key ? escapeHtml(loadedKey) + "'s " : '') + 'Score to Leaderboard</button>' +
         '</div>';
+
+    const select = document.getElementById('pbCharacterSelect');
+    if (select) {
+        select.addEventListener('change', () => {
+            selectPersonalBest(select.value);
+            renderPersonalBest();
+        });
+    }
+}
+
+/**
+ * Render the score breakdown explainer.
+ * The breakdown lists every species, so it is only built while the explainer is open.
+ */
+function renderScoreBreakdown() {
+    const explainer = document.getElementById('scoreExplainer');
+    const content = document.getElementById('scoreExplainerContent');
+
+    explainer.classList.toggle('visible', !!playerData);
+    if (!playerData || !explainer.open) {
+        content.innerHTML = '';
+        return;
+    }
+
+    const breakdown = buildScoreBreakdown(playerData.pets);
+    if (!breakdown) {
+        content.innerHTML = '';
+        return;
+    }
+
+    const points = (n) => Number.isInteger(n) ? String(n) : n.toFixed(2);
+
+    const actionsHTML = breakdown.actions.length === 0
+        ? '<p class="explainer-none">Nothing left to improve - every pet is rare and level 25!</p>'
+        : '<ol class="explainer-actions">' + breakdown.actions.map(a =>
+            '<li><span class="explainer-gain">+' + a.gain.toLocaleString() + '</span> ' + escapeHtml(a.label) + '</li>'
+        ).join('') + '</ol>';
+
+    const achievementsHTML = breakdown.achievements.map(a => {
+        const percent = Math.min(100, Math.round(a.current / a.threshold * 100));
+        return '<div class="explainer-achievement' + (a.unlocked ? ' unlocked' : '') + '" title="' + escapeHtml(a.achievement.desc) + '">' +
+            '<div class="explainer-achievement-header"><span>' + (a.unlocked ? '✓ ' : '') + escapeHtml(a.achievement.name) + '</span>' +
+            '<span>' + a.current.toLocaleString() + '/' + a.threshold.toLocaleString() + ' • +' + a.achievement.bonus + '</span></div>' +
+            '<div class="explainer-bar"><div class="explainer-bar-fill" style="width:' + percent + '%"></div></div>' +
+            '</div>';
+    }).join('');
+
+    const speciesHTML = breakdown.species.map(s =>
+        '<tr><td>' + escapeHtml(s.name) + '</td>' +
+        '<td class="q-' + (qualities[s.quality] || 'Poor').toLowerCase() + '">' + (qualities[s.quality] || 'Unknown') + ' <small>+' + points(s.qualityPoints) + '</small></td>' +
+        '<td>Lv ' + s.level + ' <small>+' + points(s.levelPoints) + '</small></td>' +
+        '<td class="explainer-points">' + points(s.total) + '</td></tr>'
+    ).join('');
+
+    const score = breakdown.score;
+    content.innerHTML =
+        '<div class="explainer-summary">' + score.stats.uniqueCount + ' species × quality points = <strong>' + score.qualityScore.toLocaleString() + '</strong>' +
+        ' • levels = <strong>' + score.levelScore.toLocaleString() + '</strong>' +
+        ' • achievements = <strong>+' + score.bonusScore.toLocaleString() + '</strong>' +
+        ' <small>(rules v' + score.rulesVersion + ', only your best copy of each species counts)</small></div>' +
+        '<div class="explainer-grid">' +
+        '<div class="explainer-section"><h4>🚀 Best Next Steps</h4>' + actionsHTML + '</div>' +
+        '<div class="explainer-section"><h4>🎖️ Achievement Progress</h4>' + achievementsHTML + '</div>' +
+        '</div>' +
+        '<div class="explainer-section"><h4>🐾 Points per Species</h4>' +
+        '<div class="explainer-table-wrap"><table class="explainer-table"><thead><tr><th>Pet</th><th>Quality</th><th>Level</th><th>Points</th></tr></thead>' +
+        '<tbody>' + speciesHTML + '</tbody></table></div></div>';
 }
 
 /**
@@ -83,28 +361,52 @@ function getAchievementBadges(pets, level25, rare, epic) {
     return badges;
 }
 
+// Bumped by every leaderboard render, so a slow fetch can't overwrite a newer one
+let leaderboardRequest = 0;
+
 /**
- * Render leaderboard table
+ * Render leaderboard table for the current page, search and realm
  */
 async function renderLeaderboard() {
+    const request = ++leaderboardRequest;
     const tbody = document.getElementById('leaderboardBody');
     const empty = document.getElementById('leaderboardEmpty');
+    const pager = document.getElementById('leaderboardPager');
 
     tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:#888;">Loading...</td></tr>';
     empty.style.display = 'none';
+    pager.style.display = 'none';
 
-    LEADERBOARD_DATA = await fetchLeaderboard();
+    if (!navigator.onLine) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:#888;">📡 You are offline - the leaderboard will load when you reconnect.</td></tr>';
+        return;
+    }
+
+    const result = await fetchLeaderboard(leaderboardView);
+    if (request !== leaderboardRequest) return;
+
+    LEADERBOARD_DATA = result.entries;
+    leaderboardView.total = result.total;
 
     if (LEADERBOARD_DATA.length === 0) {
         tbody.innerHTML = '';
-        empty.style.display = 'block';
+        if (leaderboardView.search || leaderboardView.realm) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:#888;">No players match your search.</td></tr>';
+        } else {
+            empty.style.display = 'block';
+        }
         return;
     }
 
     empty.style.display = 'none';
+    renderLeaderboardPager();
 
-    tbody.innerHTML = LEADERBOARD_DATA.map((entry, index) => {
-        const rank = index + 1;
+    const highlight = leaderboardView.highlight;
+    const familyTotals = leaderboardView.board === 'family' ? databaseSpeciesByFamily() : null;
+
+    tbody.innerHTML = LEADERBOARD_DATA.map(entry => {
+        // Global rank on this board from the leaderboard_boards view, not the position on this page
+        const rank = entry.rank;
         let trophy = '', rankClass = '';
 
         if (rank === 1) { trophy = '🥇'; rankClass = 'rank-1'; }
@@ -119,11 +421,20 @@ async function renderLeaderboard() {
             '<span class="achievement-badge" style="color:' + b.color + '" title="' + b.title + '">' + b.icon + '</span>'
         ).join('');
 
-        return '<tr>' +
+        // Entries from before rules_version existed were scored under rule set 1
+        const rulesVersion = entry.rules_version || 1;
+        const staleHTML = rulesVersion < CURRENT_RULES_VERSION
+            ? ' <span class="stale-score" title="Scored under rule set v' + rulesVersion + ' - open the collection to see the score under today\'s rules">⚠️</span>'
+            : '';
+
+        const isHighlighted = highlight && entry.player === highlight.player && entry.realm === highlight.realm;
+
+        return '<tr' + (isHighlighted ? ' class="my-rank" id="leaderboardMyRank"' : '') + '>' +
             '<td class="rank ' + rankClass + '"><span class="trophy">' + trophy + '</span>' + rank + '</td>' +
-            '<td class="player-name clickable" onclick="viewPlayerCollection(\'' + entry.player + '\', \'' + entry.realm + '\')">' +
-            entry.player + '-' + entry.realm + badgesHTML + '<span class="view-icon">👁️</span></td>' +
-            '<td class="score">' + entry.score.toLocaleString() + '</td>' +
+            '<td class="player-name"><a class="player-link" href="' + escapeHtml(profileHash(entry.player, entry.realm)) + '">' +
+            escapeHtml(entry.player + '-' + entry.realm) + '</a>' + badgesHTML +
+            '<span class="view-icon clickable" title="Quick view"' + actionAttrs('view-player', { player: entry.player, realm: entry.realm }) + '>👁️</span></td>' +
+            '<td class="score">' + formatLeaderboardValue(entry, familyTotals) + (leaderboardView.board === 'score' ? staleHTML : '') + '</td>' +
             '<td>' + entry.pets + '</td>' +
             '<td>' + entry.level25 + '</td>' +
             '<td class="date">' + date + '</td>' +
@@ -131,6 +442,221 @@ async function renderLeaderboard() {
     }).join('');
 }
 
+/**
+ * Format an entry's value on the current board
+ */
+function formatLeaderboardValue(entry, familyTotals) {
+    const value = Number(entry.value);
+    if (leaderboardView.board === 'rarity') return value.toFixed(2);
+    if (leaderboardView.board === 'gainers') {
+        return (value >= 0 ? '+' : '') + value.toLocaleString() +
+            ' <small>(' + entry.start_score.toLocaleString() + ' → ' + entry.score.toLocaleString() + ')</small>';
+    }
+    if (leaderboardView.board === 'family') {
+        const total = familyTotals[leaderboardView.family] || 0;
+        const percent = total ? Math.min(100, value / total * 100).toFixed(1) : '0.0';
+        return percent + '% <small>(' + value + '/' + total + ')</small>';
+    }
+    return value.toLocaleString();
+}
+
+/**
+ * Update the leaderboard board title, value column and family picker
+ */
+function renderLeaderboardBoard() {
+    const board = LEADERBOARD_BOARDS[leaderboardView.board];
+    const isFamily = leaderboardView.board === 'family';
+    const family = families[leaderboardView.family];
+
+    document.getElementById('leaderboardFamily').style.display = isFamily ? '' : 'none';
+    document.getElementById('leaderboardPeriod').style.display = board.periods ? '' : 'none';
+    document.getElementById('leaderboardValueHeader').textContent = isFamily ? family.name + ' ' + board.column : board.column;
+    document.getElementById('leaderboardTitle').textContent = isFamily ? family.icon + ' Top ' + family.name + ' Collectors'
+        : board.label + (board.periods ? ' - ' + LEADERBOARD_PERIODS[leaderboardView.period] : '');
+}
+
+/**
+ * Update the leaderboard page buttons and "Page x of y" text
+ */
+function renderLeaderboardPager() {
+    const pageCount = Math.max(1, Math.ceil(leaderboardView.total / LEADERBOARD_PAGE_SIZE));
+    document.getElementById('leaderboardPager').style.display = 'flex';
+    document.getElementById('leaderboardPrev').disabled = leaderboardView.page === 0;
+    document.getElementById('leaderboardNext').disabled = leaderboardView.page >= pageCount - 1;
+    document.getElementById('leaderboardPageInfo').textContent = 'Page ' + (leaderboardView.page + 1) + ' of ' + pageCount +
+        ' • ' + leaderboardView.total.toLocaleString() + ' player' + (leaderboardView.total === 1 ? '' : 's');
+}
+
+/**
+ * Fill the realm filter with the realms on the leaderboard
+ */
+async function populateLeaderboardRealms() {
+    const select = document.getElementById('leaderboardRealm');
+    const realms = await fetchLeaderboardRealms();
+    select.innerHTML = '<option value="">All Realms</option>' +
+        realms.map(r => '<option value="' + escapeHtml(r) + '">' + escapeHtml(r) + '</option>').join('');
+    select.value = realms.includes(leaderboardView.realm) ? leaderboardView.realm : '';
+}
+
+/**
+ * Show the page holding the loaded character's leaderboard entry, highlighted
+ */
+async function jumpToMyRank() {
+    if (!playerData) {
+        alert('Load your collection first to find your rank!');
+        return;
+    }
+
+    const position = await findLeaderboardPosition(playerData.playerName, playerData.realmName, leaderboardView);
+    if (!position) {
+        alert(playerData.playerName + '-' + playerData.realmName + ' is not on this leaderboard yet - submit your score!');
+        return;
+    }
+
+    // Your rank is only findable on the unfiltered board
+    leaderboardView.search = '';
+    leaderboardView.realm = '';
+    leaderboardView.page = position.page;
+    leaderboardView.highlight = { player: position.entry.player, realm: position.entry.realm };
+    document.getElementById('leaderboardSearch').value = '';
+    document.getElementById('leaderboardRealm').value = '';
+    syncUrlState();
+
+    await renderLeaderboard();
+    const row = document.getElementById('leaderboardMyRank');
+    if (row) row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * The leaderboard view's non-default settings, for the URL
+ */
+function leaderboardUrlParams() {
+    const params = {};
+    if (leaderboardView.board !== 'score') params.board = leaderboardView.board;
+    if (leaderboardView.board === 'family') params.family = leaderboardView.family;
+    if (leaderboardView.period !== 'all') params.period = leaderboardView.period;
+    if (leaderboardView.search) params.player = leaderboardView.search;
+    if (leaderboardView.realm) params.realm = leaderboardView.realm;
+    if (leaderboardView.page > 0) params.page = leaderboardView.page + 1;
+    return params;
+}
+
+/**
+ * Restore the leaderboard view from URL parameters and reload it
+ */
+function applyLeaderboardUrlParams(params) {
+    const board = params.get('board');
+    const period = params.get('period');
+    const family = parseInt(params.get('family'));
+
+    leaderboardView.board = Object.keys(LEADERBOARD_BOARDS).includes(board) ? board : 'score';
+    leaderboardView.period = Object.keys(LEADERBOARD_PERIODS).includes(period) ? period : 'all';
+    leaderboardView.family = families[family] ? family : 1;
+    leaderboardView.search = (params.get('player') || '').trim();
+    leaderboardView.realm = params.get('realm') || '';
+    leaderboardView.page = Math.max(0, (parseInt(params.get('page')) || 1) - 1);
+    leaderboardView.highlight = null;
+
+    document.getElementById('leaderboardBoard').value = leaderboardView.board;
+    document.getElementById('leaderboardFamily').value = leaderboardView.family;
+    document.getElementById('leaderboardPeriod').value = leaderboardView.period;
+    document.getElementById('leaderboardSearch').value = leaderboardView.search;
+
+    // Realms load from the server; populateLeaderboardRealms picks the realm up if they aren't in yet
+    const realmSelect = document.getElementById('leaderboardRealm');
+    if ([...realmSelect.options].some(o => o.value === leaderboardView.realm)) realmSelect.value = leaderboardView.realm;
+
+    renderLeaderboardBoard();
+    renderLeaderboard();
+}
+
+/**
+ * Setup leaderboard boards, search, realm filter, paging and jump to my rank
+ */
+function setupLeaderboardControls() {
+    const boardSelect = document.getElementById('leaderboardBoard');
+    boardSelect.innerHTML = Object.keys(LEADERBOARD_BOARDS).map(key =>
+        '<option value="' + key + '">' + LEADERBOARD_BOARDS[key].label + '</option>'
+    ).join('');
+    boardSelect.value = leaderboardView.board;
+
+    const familySelect = document.getElementById('leaderboardFamily');
+    familySelect.innerHTML = Object.keys(families).map(id =>
+        '<option value="' + id + '">' + families[id].icon + ' ' + families[id].name + '</option>'
+    ).join('');
+    familySelect.value = leaderboardView.family;
+
+    const periodSelect = document.getElementById('leaderboardPeriod');
+    periodSelect.innerHTML = Object.keys(LEADERBOARD_PERIODS).map(key =>
+        '<option value="' + key + '">' + LEADERBOARD_PERIODS[key] + '</option>'
+    ).join('');
+    periodSelect.value = leaderboardView.period;
+
+    renderLeaderboardBoard();
+
+    periodSelect.addEventListener('change', () => {
+        leaderboardView.period = periodSelect.value;
+        leaderboardView.page = 0;
+        renderLeaderboardBoard();
+        renderLeaderboard();
+        syncUrlState();
+    });
+
+    boardSelect.addEventListener('change', () => {
+        leaderboardView.board = boardSelect.value;
+        // Gains over all time say little - start the gainers board on this week
+        if (leaderboardView.board === 'gainers' && leaderboardView.period === 'all') {
+            leaderboardView.period = 'week';
+            periodSelect.value = 'week';
+        }
+        leaderboardView.page = 0;
+        renderLeaderboardBoard();
+        renderLeaderboard();
+        syncUrlState();
+    });
+
+    familySelect.addEventListener('change', () => {
+        leaderboardView.family = parseInt(familySelect.value);
+        leaderboardView.page = 0;
+        renderLeaderboardBoard();
+        renderLeaderboard();
+        syncUrlState();
+    });
+
+    let searchTimer = null;
+    document.getElementById('leaderboardSearch').addEventListener('input', (e) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            leaderboardView.search = e.target.value.trim();
+            leaderboardView.page = 0;
+            renderLeaderboard();
+            syncUrlState();
+        }, 300);
+    });
+
+    document.getElementById('leaderboardRealm').addEventListener('change', (e) => {
+        leaderboardView.realm = e.target.value;
+        leaderboardView.page = 0;
+        renderLeaderboard();
+        syncUrlState();
+    });
+
+    document.getElementById('leaderboardPrev').addEventListener('click', () => {
+        if (leaderboardView.page === 0) return;
+        leaderboardView.page--;
+        renderLeaderboard();
+        syncUrlState();
+    });
+
+    document.getElementById('leaderboardNext').addEventListener('click', () => {
+        leaderboardView.page++;
+        renderLeaderboard();
+        syncUrlState();
+    });
+
+    document.getElementById('leaderboardJumpBtn').addEventListener('click', jumpToMyRank);
+}
+
 /**
  * Display my collection tab
  */
@@ -142,24 +668,26 @@ function displayMyCollection() {
     document.getElementById('progressContainer').classList.add('visible');
     document.getElementById('statsDashboard').classList.add('visible');
     document.getElementById('myFilters').style.display = 'flex';
+    document.getElementById('myExportBar').classList.add('visible');
 
     // Set player info
     document.getElementById('playerName').textContent = playerData.playerName + ' - ' + playerData.realmName;
     document.getElementById('exportDate').textContent = 'Exported: ' + (playerData.exportDate || 'Unknown');
 
-    // Calculate stats
+    // Calculate stats, counted the same way the current rules count achievements
     const pets = playerData.pets || [];
-    const level25 = pets.filter(p => p.level === 25).length;
-    const rare = pets.filter(p => (typeof p.quality === 'number' ? p.quality : (p.qualityID || 0)) >= 3).length;
-    const epic = pets.filter(p => (typeof p.quality === 'number' ? p.quality : (p.qualityID || 0)) >= 4).length;
-    const favorites = pets.filter(p => p.favorite).length;
+    const collectionStats = computeCollectionStats(pets);
+    const stats = achievementStats(collectionStats, getScoringRules().achievementCounting);
 
     // Update stats
-    document.getElementById('totalPets').textContent = pets.length;
-    document.getElementById('level25Pets').textContent = level25;
-    document.getElementById('rarePets').textContent = rare;
-    document.getElementById('epicPets').textContent = epic;
-    document.getElementById('favoritePets').textContent = favorites;
+    document.getElementById('totalPets').textContent = collectionStats.instances.count;
+    document.getElementById('level25Pets').textContent = stats.level25Count;
+    document.getElementById('rarePets').textContent = stats.rareCount;
+    document.getElementById('epicPets').textContent = stats.epicCount;
+    document.getElementById('favoritePets').textContent = collectionStats.instances.favoriteCount;
+    setInstanceCountTitle('level25Pets', collectionStats.instances.level25Count);
+    setInstanceCountTitle('rarePets', collectionStats.instances.rareCount);
+    setInstanceCountTitle('epicPets', collectionStats.instances.epicCount);
 
     // Update progress bar
     const totalPossible = playerData.totalPets || playerData.maxPets || ALL_PETS_DATABASE.length;
@@ -172,22 +700,43 @@ function displayMyCollection() {
     // Calculate and display score
     const scoreData = calculateScore(pets);
     displayScore(scoreData);
+    renderClaimStatus();
 
     // Render pets
     renderMyPets();
-    setupMyFilters();
 }
 
 /**
- * Get filtered pets for My Collection
+ * Note the per-instance count (duplicates included) on a stat card
  */
-function getMyFilteredPets() {
-    if (!playerData || !playerData.pets) return [];
+function setInstanceCountTitle(id, instanceCount) {
+    document.getElementById(id).parentElement.title = instanceCount + ' including duplicate copies';
+}
 
-    let pets = [...playerData.pets];
+/**
+ * Hide the My Collection views when no collection is loaded
+ */
+function resetMyCollectionView() {
+    ['playerInfo', 'progressContainer', 'statsDashboard', 'scoreDisplay', 'achievementsSection', 'scoreExplainer'].forEach(id => {
+        document.getElementById(id).classList.remove('visible');
+    });
+    document.getElementById('myExportBar').classList.remove('visible');
+    document.getElementById('myFilters').style.display = 'none';
+    renderVirtualGrid('myPetGrid', [], renderPetCard);
+    document.getElementById('myPetCount').textContent = '';
+    document.getElementById('myNoResults').style.display = 'none';
+    document.getElementById('claimStatus').innerHTML = '';
+}
+
+/**
+ * Filter and sort a collection by the filter controls with the given id prefix
+ * ('my' for My Collection, 'profile' for player profiles)
+ */
+function filterCollectionPets(pets, prefix) {
+    pets = [...(pets || [])];
 
     // Search filter
-    const search = document.getElementById('mySearchInput').value.toLowerCase();
+    const search = document.getElementById(prefix + 'SearchInput').value.toLowerCase();
     if (search) {
         pets = pets.filter(p =>
             (p.speciesName && p.speciesName.toLowerCase().includes(search)) ||
@@ -196,26 +745,26 @@ function getMyFilteredPets() {
     }
 
     // Quality filter
-    const quality = document.getElementById('myQualityFilter').value;
+    const quality = document.getElementById(prefix + 'QualityFilter').value;
     if (quality) {
         const minQuality = parseInt(quality);
-        pets = pets.filter(p => (typeof p.quality === 'number' ? p.quality : (p.qualityID || 0)) >= minQuality);
+        pets = pets.filter(p => petQuality(p) >= minQuality);
     }
 
     // Level filter
-    const level = document.getElementById('myLevelFilter').value;
+    const level = document.getElementById(prefix + 'LevelFilter').value;
     if (level) pets = pets.filter(p => p.level >= parseInt(level));
 
     // Family filter
-    const family = document.getElementById('myFamilyFilter').value;
+    const family = document.getElementById(prefix + 'FamilyFilter').value;
     if (family) pets = pets.filter(p => (p.petType || p.familyID) === parseInt(family));
 
     // Sort: favorites first, then level, then quality
     pets.sort((a, b) => {
         if (a.favorite !== b.favorite) return b.favorite ? 1 : -1;
         if (a.level !== b.level) return (b.level || 0) - (a.level || 0);
-        const aQ = typeof a.quality === 'number' ? a.quality : (a.qualityID || 0);
-        const bQ = typeof b.quality === 'number' ? b.quality : (b.qualityID || 0);
+        const aQ = petQuality(a);
+        const bQ = petQuality(b);
         if (aQ !== bQ) return bQ - aQ;
         return (a.speciesName || '').localeCompare(b.speciesName || '');
     });
@@ -223,59 +772,80 @@ function getMyFilteredPets() {
     return pets;
 }
 
+/**
+ * Get filtered pets for My Collection
+ */
+function getMyFilteredPets() {
+    if (!playerData || !playerData.pets) return [];
+    return filterCollectionPets(playerData.pets, 'my');
+}
+
+/**
+ * Card for one pet of a collection
+ */
+function renderPetCard(pet) {
+    const familyId = pet.petType || pet.familyID || 0;
+    const family = families[familyId] || { name: pet.family || 'Unknown', icon: '❓' };
+    const qualityNum = escapeHtml(petQuality(pet));
+    const qualityName = qualities[qualityNum] || 'Unknown';
+
+    // Other players' collections can put anything in any field, numbers included
+    return '<div class="pet-card quality-' + qualityNum + '">' +
+        '<div class="pet-icon">' + family.icon + '</div>' +
+        '<div class="pet-info">' +
+        '<div class="pet-name quality-' + qualityNum + '">' +
+        (pet.favorite ? '<span class="favorite">⭐</span>' : '') +
+        escapeHtml(pet.speciesName || pet.name || 'Unknown Pet') +
+        (pet.breed && pet.breed !== 'Unknown' ? '<span style="color:#888;font-size:0.75rem">(' + escapeHtml(pet.breed) + ')</span>' : '') +
+        '</div>' +
+        (pet.customName ? '<div class="custom-name">"' + escapeHtml(pet.customName) + '"</div>' : '') +
+        '<div class="pet-details">Level ' + escapeHtml(pet.level || 1) + ' ' + qualityName + ' ' + escapeHtml(family.name) + '</div>' +
+        '<div class="pet-stats">' +
+        '<span class="stat-health">❤️ ' + escapeHtml(pet.health || 0) + '</span>' +
+        '<span class="stat-power">⚔️ ' + escapeHtml(pet.power || 0) + '</span>' +
+        '<span class="stat-speed">⚡ ' + escapeHtml(pet.speed || 0) + '</span>' +
+        '</div>' +
+        '</div></div>';
+}
+
 /**
  * Render my pets grid
  */
 function renderMyPets() {
-    const grid = document.getElementById('myPetGrid');
     const pets = getMyFilteredPets();
 
     document.getElementById('myPetCount').textContent = 'Showing ' + pets.length + ' pets';
     document.getElementById('myNoResults').style.display = pets.length === 0 ? 'block' : 'none';
+    renderVirtualGrid('myPetGrid', pets, renderPetCard);
+}
 
-    grid.innerHTML = pets.map(pet => {
-        const familyId = pet.petType || pet.familyID || 0;
-        const family = families[familyId] || { name: pet.family || 'Unknown', icon: '❓' };
-        let qualityNum = typeof pet.quality === 'number' ? pet.quality : (pet.qualityID || 0);
-        let qualityName = qualities[qualityNum] || 'Unknown';
-
-        return '<div class="pet-card quality-' + qualityNum + '">' +
-            '<div class="pet-icon">' + family.icon + '</div>' +
-            '<div class="pet-info">' +
-            '<div class="pet-name quality-' + qualityNum + '">' +
-            (pet.favorite ? '<span class="favorite">⭐</span>' : '') +
-            (pet.speciesName || pet.name || 'Unknown Pet') +
-            (pet.breed && pet.breed !== 'Unknown' ? '<span style="color:#888;font-size:0.75rem">(' + pet.breed + ')</span>' : '') +
-            '</div>' +
-            (pet.customName ? '<div class="custom-name">"' + pet.customName + '"</div>' : '') +
-            '<div class="pet-details">Level ' + (pet.level || 1) + ' ' + qualityName + ' ' + family.name + '</div>' +
-            '<div class="pet-stats">' +
-            '<span class="stat-health">❤️ ' + (pet.health || 0) + '</span>' +
-            '<span class="stat-power">⚔️ ' + (pet.power || 0) + '</span>' +
-            '<span class="stat-speed">⚡ ' + (pet.speed || 0) + '</span>' +
-            '</div>' +
-            '</div></div>';
-    }).join('');
+/**
+ * Re-render a collection grid whenever one of its filters (by id prefix) changes
+ */
+function setupCollectionFilters(prefix, render) {
+    document.getElementById(prefix + 'SearchInput').addEventListener('input', debounce(render, FILTER_DEBOUNCE_MS));
+    document.getElementById(prefix + 'QualityFilter').addEventListener('change', render);
+    document.getElementById(prefix + 'LevelFilter').addEventListener('change', render);
+    document.getElementById(prefix + 'FamilyFilter').addEventListener('change', render);
 }
 
 /**
  * Setup my collection filters
  */
 function setupMyFilters() {
-    document.getElementById('mySearchInput').addEventListener('input', renderMyPets);
-    document.getElementById('myQualityFilter').addEventListener('change', renderMyPets);
-    document.getElementById('myLevelFilter').addEventListener('change', renderMyPets);
-    document.getElementById('myFamilyFilter').addEventListener('change', renderMyPets);
+    setupCollectionFilters('my', () => {
+        renderMyPets();
+        syncUrlState();
+    });
 }
 
 /**
  * Populate zone filter dropdown
  */
 function populateZoneFilter() {
-    const zones = [...new Set(ALL_PETS_DATABASE.map(p => p.zone).filter(z => z))].sort();
     const select = document.getElementById('allZoneFilter');
 
-    zones.forEach(zone => {
+    getDatabaseZones().forEach(zone => {
         const option = document.createElement('option');
         option.value = zone;
         option.textContent = zone;
@@ -284,38 +854,61 @@ function populateZoneFilter() {
 }
 
 /**
- * Get filtered pets for All Pets Database
+ * Populate vendor, season and profession dropdowns from structured sources
  */
-function getAllFilteredPets() {
-    let pets = [...ALL_PETS_DATABASE];
-
-    // Search filter
-    const search = document.getElementById('allSearchInput').value.toLowerCase();
-    if (search) pets = pets.filter(p => p.name.toLowerCase().includes(search));
-
-    // Zone filter
-    const zone = document.getElementById('allZoneFilter').value;
-    if (zone) pets = pets.filter(p => p.zone === zone);
+function populateSourceFilters() {
+    const fill = (selectId, values) => {
+        const select = document.getElementById(selectId);
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+    };
+
+    fill('allVendorFilter', getSourceFieldValues('vendors'));
+    fill('allSeasonFilter', getSourceFieldValues('season'));
+    fill('allProfessionFilter', getSourceFieldValues('profession'));
+}
 
-    // Source filter
-    const source = document.getElementById('allSourceFilter').value;
-    if (source) pets = pets.filter(p => p.source === source);
+// Inputs that filter the All Pets Database, independent of which pets are owned
+const ALL_FILTER_INPUTS = [
+    'allSearchInput', 'allZoneFilter', 'allSourceFilter', 'allFamilyFilter',
+    'allVendorFilter', 'allSeasonFilter', 'allProfessionFilter', 'allMinCost', 'allMaxCost'
+];
 
-    // Family filter
-    const family = document.getElementById('allFamilyFilter').value;
-    if (family) pets = pets.filter(p => p.family === parseInt(family));
+// The database filtered by ALL_FILTER_INPUTS and sorted by zone and name, with the input values
+// and compiled search query it was built for
+let allPetsFilterCache = { key: null, pets: [], query: null };
 
-    // Missing only filter
-    const showMissingOnly = document.getElementById('showMissingOnly').checked;
-    if (showMissingOnly && ownedSpeciesIDs.size > 0) {
-        pets = pets.filter(p => !ownedSpeciesIDs.has(p.speciesID));
-    }
+/**
+ * Filter the database by the All Pets inputs and a compiled search query, sorted by zone, then name
+ */
+function filterDatabasePets(query) {
+    // Structured source filters (vendor, season, profession, cost range)
+    const criteria = {};
+    const vendor = document.getElementById('allVendorFilter').value;
+    const season = document.getElementById('allSeasonFilter').value;
+    const profession = document.getElementById('allProfessionFilter').value;
+    const minCost = document.getElementById('allMinCost').value;
+    const maxCost = document.getElementById('allMaxCost').value;
+    if (vendor) criteria.vendor = vendor;
+    if (season) criteria.season = season;
+    if (profession) criteria.profession = profession;
+    if (minCost !== '') criteria.minCost = parseFloat(minCost);
+    if (maxCost !== '') criteria.maxCost = parseFloat(maxCost);
+
+    const hasCriteria = Object.keys(criteria).length > 0;
+
+    const pets = queryPets({
+        zone: document.getElementById('allZoneFilter').value,
+        source: document.getElementById('allSourceFilter').value,
+        family: document.getElementById('allFamilyFilter').value,
+        where: p => query.matchesPet(p) && (!hasCriteria || petMatchesSourceCriteria(p, criteria))
+    });
 
-    // Sort: owned first, then by zone, then by name
     pets.sort((a, b) => {
-        const aOwned = ownedSpeciesIDs.has(a.speciesID);
-        const bOwned = ownedSpeciesIDs.has(b.speciesID);
-        if (aOwned !== bOwned) return bOwned ? 1 : -1;
         if (a.zone !== b.zone) return (a.zone || '').localeCompare(b.zone || '');
         return a.name.localeCompare(b.name);
     });
@@ -323,12 +916,38 @@ function getAllFilteredPets() {
     return pets;
 }
 
+/**
+ * Get filtered pets for All Pets Database: owned first, then by zone, then by name.
+ * Loading a collection only changes which pets are owned, so the input filtering is
+ * reused and just the owned split is redone.
+ */
+function getAllFilteredPets() {
+    const key = ALL_FILTER_INPUTS.map(id => document.getElementById(id).value).join('\n');
+    if (allPetsFilterCache.key !== key) {
+        const query = compileSearchQuery(document.getElementById('allSearchInput').value);
+        allPetsFilterCache = { key, pets: filterDatabasePets(query), query };
+    }
+
+    // owned / missing search terms depend on the collection, so they can't be cached
+    const query = allPetsFilterCache.query;
+    const pets = query.usesOwnership ? allPetsFilterCache.pets.filter(query.matchesOwnership) : allPetsFilterCache.pets;
+
+    const owned = [], missing = [];
+    pets.forEach(p => (ownedSpeciesIDs.has(p.speciesID) ? owned : missing).push(p));
+
+    // Missing only filter
+    const showMissingOnly = document.getElementById('showMissingOnly').checked;
+    if (showMissingOnly && ownedSpeciesIDs.size > 0) return missing;
+
+    return owned.concat(missing);
+}
+
 /**
  * Render all pets grid
  */
 function renderAllPets() {
-    const grid = document.getElementById('allPetGrid');
     const pets = getAllFilteredPets();
+    renderSearchErrors(allPetsFilterCache.query.errors);
 
     const ownedCount = pets.filter(p => ownedSpeciesIDs.has(p.speciesID)).length;
     const statusText = ownedSpeciesIDs.size > 0
@@ -338,48 +957,64 @@ function renderAllPets() {
     document.getElementById('allPetCount').textContent = statusText;
     document.getElementById('allNoResults').style.display = pets.length === 0 ? 'block' : 'none';
 
-    grid.innerHTML = pets.map(pet => {
-        const family = families[pet.family] || { name: 'Unknown', icon: '❓' };
-        const isOwned = ownedSpeciesIDs.has(pet.speciesID);
-        const sourceClass = 'source-' + pet.source;
-        const sourceLabel = sourceLabels[pet.source] || pet.source;
-        
-        // Generate helpful tip for missing pets
-        let howToGet = '';
-        if (!isOwned) {
-            if (pet.source === 'vendor') howToGet = '💰 Can be purchased from a vendor';
-            else if (pet.source === 'wild') howToGet = '🌿 Found in the wild - go catch it!';
-            else if (pet.source === 'drop') howToGet = '⚔️ Drops from enemies';
-            else if (pet.source === 'quest') howToGet = '📜 Reward from a quest';
-            else if (pet.source === 'achievement') howToGet = '🏆 Earned through an achievement';
-            else if (pet.source === 'profession') howToGet = '🔨 Created through a profession';
-            else if (pet.source === 'promotion') howToGet = '🎁 Special promotional pet';
-            else if (pet.source === 'event') howToGet = '🎉 Available during special events';
-            else if (pet.source === 'tcg') howToGet = '🃏 Trading Card Game loot';
-        }
+    renderVirtualGrid('allPetGrid', pets, renderDatabasePetCard);
+}
 
-        return '<div class="pet-card ' + (isOwned ? 'owned' : 'missing') + '">' +
-            '<div class="pet-icon">' + family.icon + '</div>' +
-            '<div class="pet-info">' +
-            '<div class="pet-name" style="color: ' + (isOwned ? '#00ff88' : '#aaa') + '">' +
-            (isOwned ? '<span class="owned-check">✓</span>' : '<span class="missing-icon">❌</span>') +
-            pet.name +
-            '<span class="source-badge ' + sourceClass + '">' + sourceLabel + '</span>' +
-            '</div>' +
-            '<div class="pet-details">' + family.name + (pet.isWild ? ' • Wild Pet' : '') + '</div>' +
-            '<div class="pet-location">📍 ' + (pet.sourceText || pet.zone || 'Unknown') + '</div>' +
-            (howToGet ? '<div class="pet-tip">' + howToGet + '</div>' : '') +
-            '</div></div>';
-    }).join('');
+/**
+ * Card for one pet of the database, marked owned or missing
+ */
+function renderDatabasePetCard(pet) {
+    const family = families[pet.family] || { name: 'Unknown', icon: '❓' };
+    const isOwned = ownedSpeciesIDs.has(pet.speciesID);
+    const sourceClass = 'source-' + pet.source;
+    const sourceLabel = sourceLabels[pet.source] || pet.source;
+    
+    // Generate helpful tip for missing pets
+    let howToGet = '';
+    if (!isOwned) {
+        if (pet.source === 'vendor') howToGet = '💰 Can be purchased from a vendor';
+        else if (pet.source === 'wild') howToGet = '🌿 Found in the wild - go catch it!';
+        else if (pet.source === 'drop') howToGet = '⚔️ Drops from enemies';
+        else if (pet.source === 'quest') howToGet = '📜 Reward from a quest';
+        else if (pet.source === 'achievement') howToGet = '🏆 Earned through an achievement';
+        else if (pet.source === 'profession') howToGet = '🔨 Created through a profession';
+        else if (pet.source === 'promotion') howToGet = '🎁 Special promotional pet';
+        else if (pet.source === 'event') howToGet = '🎉 Available during special events';
+        else if (pet.source === 'tcg') howToGet = '🃏 Trading Card Game loot';
+    }
+
+    return '<div class="pet-card ' + (isOwned ? 'owned' : 'missing') + '">' +
+        '<div class="pet-icon">' + family.icon + '</div>' +
+        '<div class="pet-info">' +
+        '<div class="pet-name" style="color: ' + (isOwned ? '#00ff88' : '#aaa') + '">' +
+        (isOwned ? '<span class="owned-check">✓</span>' : '<span class="missing-icon">❌</span>') +
+        escapeHtml(pet.name) +
+        '<span class="source-badge ' + escapeHtml(sourceClass) + '">' + escapeHtml(sourceLabel) + '</span>' +
+        '</div>' +
+        '<div class="pet-details">' + family.name + (pet.isWild ? ' • Wild Pet' : '') + '</div>' +
+        '<div class="pet-location">📍 ' + escapeHtml(pet.sourceText || pet.zone || 'Unknown') + '</div>' +
+        (howToGet ? '<div class="pet-tip">' + howToGet + '</div>' : '') +
+        '</div></div>';
 }
 
 /**
  * Setup all pets filters
  */
 function setupAllFilters() {
-    document.getElementById('allSearchInput').addEventListener('input', renderAllPets);
-    document.getElementById('allZoneFilter').addEventListener('change', renderAllPets);
-    document.getElementById('allSourceFilter').addEventListener('change', renderAllPets);
-    document.getElementById('allFamilyFilter').addEventListener('change', renderAllPets);
-    document.getElementById('showMissingOnly').addEventListener('change', renderAllPets);
+    const update = () => {
+        renderAllPets();
+        syncUrlState();
+    };
+    const updateSoon = debounce(update, FILTER_DEBOUNCE_MS);
+    document.getElementById('allSearchInput').addEventListener('input', updateSoon);
+    document.getElementById('allZoneFilter').addEventListener('change', update);
+    document.getElementById('allSourceFilter').addEventListener('change', update);
+    document.getElementById('allFamilyFilter').addEventListener('change', update);
+    document.getElementById('allVendorFilter').addEventListener('change', update);
+    document.getElementById('allSeasonFilter').addEventListener('change', update);
+    document.getElementById('allProfessionFilter').addEventListener('change', update);
+    document.getElementById('allMinCost').addEventListener('input', updateSoon);
+    document.getElementById('allMaxCost').addEventListener('input', updateSoon);
+    document.getElementById('showMissingOnly').addEventListener('change', update);
+    setupSearchAutocomplete();
 }
@@ -0,0 +1,137 @@
+// =====================================================
+// TauriPets - URL State (#/pets?zone=Mac%27Aree&missing=1)
+// =====================================================
+
+// Hash route and state of each tab. State lives either in filter controls
+// (URL parameter -> control id) or behind read/apply functions.
+const URL_STATE_TABS = {
+    'my-collection': {
+        route: 'collection',
+        controls: { q: 'mySearchInput', quality: 'myQualityFilter', level: 'myLevelFilter', family: 'myFamilyFilter' },
+        render: () => { if (playerData) renderMyPets(); }
+    },
+    'all-pets': {
+        route: 'pets',
+        controls: {
+            q: 'allSearchInput', zone: 'allZoneFilter', source: 'allSourceFilter', family: 'allFamilyFilter',
+            vendor: 'allVendorFilter', season: 'allSeasonFilter', profession: 'allProfessionFilter',
+            min: 'allMinCost', max: 'allMaxCost', missing: 'showMissingOnly'
+        },
+        render: () => renderAllPets()
+    },
+    'history': {
+        route: 'history'
+    },
+    'leaderboard': {
+        route: 'leaderboard',
+        read: () => leaderboardUrlParams(),
+        apply: (params) => applyLeaderboardUrlParams(params)
+    }
+};
+
+// What a URL without a hash shows: My Collection unfiltered (see handleRoute)
+const URL_STATE_DEFAULT_HASH = '#/collection';
+
+// Text input that last wrote the URL, so a burst of typing adds one history entry
+let urlStateInput = null;
+
+/**
+ * Non-default values of a set of controls: { param: value }
+ */
+function readControlParams(controls) {
+    const params = {};
+    for (const param in controls) {
+        const el = document.getElementById(controls[param]);
+        if (el.type === 'checkbox') {
+            if (el.checked) params[param] = '1';
+        } else if (el.value.trim()) {
+            params[param] = el.value.trim();
+        }
+    }
+    return params;
+}
+
+/**
+ * Set a set of controls from URL parameters; missing parameters reset a control
+ */
+function applyControlParams(controls, params) {
+    for (const param in controls) {
+        const el = document.getElementById(controls[param]);
+        const value = params.get(param) || '';
+
+        if (el.type === 'checkbox') {
+            el.checked = value === '1';
+        } else if (el.tagName === 'SELECT') {
+            // A value the dropdown doesn't offer (an old link) falls back to "All"
+            el.value = [...el.options].some(o => o.value === value) ? value : '';
+        } else {
+            el.value = value;
+        }
+    }
+}
+
+/**
+ * Hash for a tab's current state, e.g. #/pets?zone=Elwynn+Forest
+ */
+function urlStateHash(tabId) {
+    const tab = URL_STATE_TABS[tabId];
+    const params = tab.controls ? readControlParams(tab.controls) : (tab.read ? tab.read() : {});
+    const query = new URLSearchParams(params).toString();
+    return '#/' + tab.route + (query ? '?' + query : '');
+}
+
+/**
+ * Parse a tab state hash. Returns { tab, params } or null for any other hash.
+ */
+function parseUrlState(hash) {
+    const match = (hash || '').match(/^#\/([a-z-]+)(?:\?(.*))?$/);
+    if (!match) return null;
+
+    const tab = Object.keys(URL_STATE_TABS).find(id => URL_STATE_TABS[id].route === match[1]);
+    if (!tab) return null;
+
+    try {
+        return { tab, params: new URLSearchParams(match[2] || '') };
+    } catch (e) {
+        return { tab, params: new URLSearchParams() };
+    }
+}
+
+/**
+ * Restore a tab's state from URL parameters and re-render it
+ */
+function applyUrlState(tabId, params) {
+    const tab = URL_STATE_TABS[tabId];
+    if (tab.controls) {
+        applyControlParams(tab.controls, params);
+        tab.render();
+    } else if (tab.apply) {
+        tab.apply(params);
+    }
+}
+
+/**
+ * Write the active tab's state to the URL after a tab switch or filter change.
+ * Every change is a history entry for back/forward, except that typing in one box
+ * keeps replacing its own entry, and spelling out the state a hash-less URL already
+ * shows (#/collection) isn't a step of its own.
+ */
+function syncUrlState() {
+    const active = document.querySelector('.tab-content.active');
+    if (!active || !URL_STATE_TABS[active.id]) return;
+
+    const hash = urlStateHash(active.id);
+    if (hash === location.hash) return;
+
+    const el = document.activeElement;
+    const typing = el && (el.type === 'text' || el.type === 'number') ? el.id : null;
+    const url = location.pathname + location.search + hash;
+
+    const unchanged = hash === (location.hash || URL_STATE_DEFAULT_HASH);
+
+    if (unchanged || (typing && typing === urlStateInput)) history.replaceState(null, '', url);
+    else history.pushState(null, '', url);
+
+    urlStateInput = typing;
+    routedHash = location.hash;
+}
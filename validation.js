@@ -0,0 +1,210 @@
+// =====================================================
+// TauriPets - Submission Validation (shared with the submit-score function)
+// =====================================================
+
+const PET_MAX_LEVEL = 25;
+const PET_MAX_QUALITY = 5;
+
+// The game never lets you own more than 3 copies of a species
+const PET_MAX_COPIES = 3;
+
+// Stat multiplier per quality (Poor .. Legendary)
+const QUALITY_STAT_MULTIPLIERS = [1.0, 1.1, 1.2, 1.3, 1.4, 1.5];
+
+// The pet database has no per-species base stats, so stats are checked against the
+// widest range any species can reach: base stat plus breed bonus per level, before quality
+const BASE_STAT_RANGE = { min: 4, max: 14 };
+
+// Allowance for the game's rounding
+const STAT_SLACK = 0.05;
+
+/**
+ * Lowest and highest value a stat can have at a level and quality.
+ * Health is 100 + 5x the per-level stat; power and speed are the per-level stat.
+ */
+function petStatRange(stat, level, quality) {
+    const multiplier = QUALITY_STAT_MULTIPLIERS[quality];
+    const scale = stat === 'health' ? 5 : 1;
+    const offset = stat === 'health' ? 100 : 0;
+    return {
+        min: Math.floor((offset + BASE_STAT_RANGE.min * scale * level * multiplier) * (1 - STAT_SLACK)),
+        max: Math.ceil((offset + BASE_STAT_RANGE.max * scale * level * multiplier) * (1 + STAT_SLACK))
+    };
+}
+
+/**
+ * Check a single submitted pet. Returns a list of problems (empty when the pet is possible).
+ * Stats of 0 are treated as missing, since older addon exports leave them out.
+ */
+function validatePet(pet, dbBySpecies) {
+    const errors = [];
+    const label = 'Pet #' + pet.speciesID;
+
+    if (!Number.isInteger(pet.speciesID) || !dbBySpecies.has(pet.speciesID)) {
+        return [label + ': unknown species'];
+    }
+    if (!Number.isInteger(pet.level) || pet.level < 1 || pet.level > PET_MAX_LEVEL) {
+        errors.push(label + ': level ' + pet.level + ' is not between 1 and ' + PET_MAX_LEVEL);
+    }
+    if (!Number.isInteger(pet.quality) || pet.quality < 0 || pet.quality > PET_MAX_QUALITY) {
+        errors.push(label + ': quality ' + pet.quality + ' is not between 0 and ' + PET_MAX_QUALITY);
+    }
+    if (errors.length > 0) return errors;
+
+    ['health', 'power', 'speed'].forEach(stat => {
+        const value = pet[stat];
+        if (!value) return;
+        const range = petStatRange(stat, pet.level, pet.quality);
+        if (!Number.isFinite(value) || value < range.min || value > range.max) {
+            errors.push(label + ': ' + stat + ' ' + value + ' is outside ' + range.min + '-' + range.max + ' for level ' + pet.level);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Normalize a submitted pet list to the fields scoring needs.
+ * The family comes from the database, never from the submission - a forged petType
+ * would otherwise count towards the all-families achievement.
+ */
+function normalizeSubmittedPets(pets) {
+    return pets.map(pet => ({
+        speciesID: Number(pet.speciesID),
+        level: Number(pet.level),
+        quality: Number(typeof pet.quality === 'number' ? pet.quality : (pet.qualityID || 0)),
+        petType: (getDatabasePet(pet.speciesID) || {}).family || 0,
+        health: Number(pet.health || 0),
+        power: Number(pet.power || 0),
+        speed: Number(pet.speed || 0),
+        petID: pet.petID ? String(pet.petID) : ''
+    }));
+}
+
+/**
+ * Validate a submitted pet list.
+ * Returns { valid, errors, pets } with pets normalized for calculateScore.
+ */
+function validateSubmission(pets) {
+    if (!Array.isArray(pets) || pets.length === 0) {
+        return { valid: false, errors: ['No pets submitted'], pets: [] };
+    }
+    if (pets.length > ALL_PETS_DATABASE.length * PET_MAX_COPIES) {
+        return { valid: false, errors: ['More pets than the game allows'], pets: [] };
+    }
+
+    const normalized = normalizeSubmittedPets(pets);
+    const errors = [];
+    const copies = new Map();
+
+    normalized.forEach(pet => {
+        errors.push(...validatePet(pet, PET_INDEX.bySpecies));
+        copies.set(pet.speciesID, (copies.get(pet.speciesID) || 0) + 1);
+    });
+
+    copies.forEach((count, speciesID) => {
+        if (count > PET_MAX_COPIES) errors.push('Pet #' + speciesID + ': ' + count + ' copies (max ' + PET_MAX_COPIES + ')');
+    });
+
+    return { valid: errors.length === 0, errors, pets: normalized };
+}
+
+// =====================================================
+// Duplicate Collections (the same account on another character)
+// =====================================================
+
+// petIDs are unique per account, so sharing most of them means the same account
+const DUPLICATE_PET_ID_THRESHOLD = 0.9;
+
+// Without petIDs only species/level/quality can be compared, which small or common
+// collections share by chance - require a large, near-identical collection
+const DUPLICATE_SPECIES_THRESHOLD = 0.9;
+const DUPLICATE_MIN_PETS = 50;
+
+/**
+ * Comparable keys for a normalized collection.
+ * petIDs is empty unless every pet has one; species lists "speciesID-level-quality#copy" per pet.
+ */
+function collectionKeys(pets) {
+    const copies = new Map();
+    const species = pets.map(p => {
+        const key = p.speciesID + '-' + p.level + '-' + p.quality;
+        copies.set(key, (copies.get(key) || 0) + 1);
+        return key + '#' + copies.get(key);
+    }).sort();
+
+    const petIDs = pets.every(p => p.petID) ? pets.map(p => p.petID).sort() : [];
+    return { petIDs, species };
+}
+
+/**
+ * Hex SHA-256 of a string
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 fingerprint over the whole normalized collection
+ */
+async function collectionFingerprint(pets) {
+    const keys = collectionKeys(pets);
+    return sha256Hex(keys.petIDs.length > 0 ? 'petIDs\n' + keys.petIDs.join('\n') : 'species\n' + keys.species.join('\n'));
+}
+
+/**
+ * Jaccard similarity of two key lists: shared keys / all keys
+ */
+function jaccardSimilarity(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    if (setA.size === 0 && setB.size === 0) return 0;
+
+    let shared = 0;
+    setA.forEach(key => { if (setB.has(key)) shared++; });
+    return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Compare two collections' keys, by petIDs when both have them, otherwise by species.
+ * Returns { similarity, basis, duplicate }.
+ */
+function compareCollections(keysA, keysB) {
+    if (keysA.petIDs.length > 0 && keysB.petIDs.length > 0) {
+        const similarity = jaccardSimilarity(keysA.petIDs, keysB.petIDs);
+        return { similarity, basis: 'petIDs', duplicate: similarity >= DUPLICATE_PET_ID_THRESHOLD };
+    }
+
+    const similarity = jaccardSimilarity(keysA.species, keysB.species);
+    const bigEnough = keysA.species.length >= DUPLICATE_MIN_PETS && keysB.species.length >= DUPLICATE_MIN_PETS;
+    return { similarity, basis: 'species', duplicate: bigEnough && similarity >= DUPLICATE_SPECIES_THRESHOLD };
+}
+
+/**
+ * Range of species key counts a collection of speciesCount keys can be a species-basis
+ * duplicate of, or null when it's too small to compare by species at all.
+ * Jaccard similarity can't reach the threshold when one list is much longer than the other.
+ */
+function duplicateSpeciesCountRange(speciesCount) {
+    if (speciesCount < DUPLICATE_MIN_PETS) return null;
+    return {
+        min: Math.max(DUPLICATE_MIN_PETS, Math.ceil(speciesCount * DUPLICATE_SPECIES_THRESHOLD)),
+        max: Math.floor(speciesCount / DUPLICATE_SPECIES_THRESHOLD)
+    };
+}
+
+/**
+ * Find the leaderboard entry most similar to a collection, if any is a duplicate.
+ * entries carry pet_ids and species_keys as stored by submit-score.
+ */
+function findDuplicateCollection(keys, entries) {
+    let best = null;
+    for (const entry of entries) {
+        const result = compareCollections(keys, { petIDs: entry.pet_ids || [], species: entry.species_keys || [] });
+        if (result.duplicate && (!best || result.similarity > best.similarity)) {
+            best = { entry, similarity: result.similarity, basis: result.basis };
+        }
+    }
+    return best;
+}
@@ -0,0 +1,130 @@
+// =====================================================
+// TauriPets - Virtual Pet Grids (only visible cards get DOM)
+// =====================================================
+
+// Rows rendered above and below the viewport, so fast scrolling doesn't show gaps
+const VIRTUAL_GRID_OVERSCAN = 4;
+
+// Row height to lay out with until the first cards have been measured
+const VIRTUAL_GRID_ESTIMATED_ROW = 110;
+
+// Delay before search boxes re-filter while typing
+const FILTER_DEBOUNCE_MS = 150;
+
+// Grid state by element id: { grid, items, renderCard, columns, rowHeight, first, last }
+const virtualGrids = {};
+
+// Pending animation frame for scroll/resize updates
+let virtualGridFrame = null;
+
+/**
+ * Call fn once calls stop coming for ms milliseconds
+ */
+function debounce(fn, ms) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), ms);
+    };
+}
+
+/**
+ * Show items in a grid, building DOM only for the rows in and near the viewport.
+ * renderCard(item) returns one card's HTML.
+ */
+function renderVirtualGrid(gridId, items, renderCard) {
+    let state = virtualGrids[gridId];
+    if (!state) {
+        state = virtualGrids[gridId] = { grid: document.getElementById(gridId), columns: 0, rowHeight: 0 };
+        if (typeof ResizeObserver !== 'undefined') {
+            // Also fires when a hidden tab's grid is shown for the first time
+            new ResizeObserver(() => updateVirtualGrid(state)).observe(state.grid);
+        }
+    }
+
+    state.items = items;
+    state.renderCard = renderCard;
+    state.first = -1;
+    state.last = -1;
+    updateVirtualGrid(state);
+}
+
+/**
+ * Number of columns the grid's CSS currently lays out
+ */
+function virtualGridColumns(grid) {
+    const tracks = getComputedStyle(grid).gridTemplateColumns;
+    const count = tracks && tracks !== 'none' ? tracks.trim().split(/\s+/).length : 0;
+    return Math.max(1, count);
+}
+
+/**
+ * Render the rows of a virtual grid that are near the viewport.
+ * Spacer padding above and below keeps the scrollbar the size of the whole list.
+ */
+function updateVirtualGrid(state) {
+    const grid = state.grid;
+    const items = state.items || [];
+
+    if (items.length === 0) {
+        grid.innerHTML = '';
+        grid.style.paddingTop = '';
+        grid.style.paddingBottom = '';
+        state.first = state.last = 0;
+        return;
+    }
+
+    // A grid on a hidden tab can't be measured - the ResizeObserver lays it out once it's shown
+    if (grid.offsetParent === null) return;
+
+    const columns = virtualGridColumns(grid);
+    const gap = parseFloat(getComputedStyle(grid).rowGap) || 0;
+    const stride = (state.rowHeight || VIRTUAL_GRID_ESTIMATED_ROW) + gap;
+    const rows = Math.ceil(items.length / columns);
+
+    const top = -grid.getBoundingClientRect().top;
+    const first = Math.min(rows - 1, Math.max(0, Math.floor(top / stride) - VIRTUAL_GRID_OVERSCAN));
+    const last = Math.min(rows, Math.max(first + 1, Math.ceil((top + window.innerHeight) / stride) + VIRTUAL_GRID_OVERSCAN));
+
+    if (first === state.first && last === state.last && columns === state.columns) return;
+    state.first = first;
+    state.last = last;
+    state.columns = columns;
+
+    grid.style.paddingTop = (first * stride) + 'px';
+    grid.style.paddingBottom = ((rows - last) * stride) + 'px';
+    grid.innerHTML = items.slice(first * columns, last * columns).map(state.renderCard).join('');
+
+    // Every row gets the tallest card's height so the spacer maths stays exact.
+    // A taller card than any seen so far re-lays the grid out once.
+    let tallest = 0;
+    for (const card of grid.children) {
+        const border = card.offsetHeight - card.clientHeight;
+        tallest = Math.max(tallest, card.scrollHeight + border);
+    }
+    if (tallest > state.rowHeight) {
+        state.rowHeight = tallest;
+        grid.style.gridAutoRows = tallest + 'px';
+        state.first = -1;
+        updateVirtualGrid(state);
+    }
+}
+
+/**
+ * Re-render every virtual grid's window on the next frame
+ */
+function scheduleVirtualGridUpdate() {
+    if (virtualGridFrame) return;
+    virtualGridFrame = requestAnimationFrame(() => {
+        virtualGridFrame = null;
+        Object.values(virtualGrids).forEach(updateVirtualGrid);
+    });
+}
+
+/**
+ * Follow scrolling and resizing with the virtual grids
+ */
+function setupVirtualGrids() {
+    window.addEventListener('scroll', scheduleVirtualGridUpdate, { passive: true });
+    window.addEventListener('resize', scheduleVirtualGridUpdate);
+}